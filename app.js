@@ -1,5 +1,5 @@
 // Dawn Patrol - Morning Activity Advisor
-// Helps decide: Surf, Fish, Cycle, or Sunrise Photos
+// Helps decide: Surf, Fish, Cycle, Sunrise Photos, Paddle, Kite or Beach Run
 // Version 4.0 - Added fishing score with solunar, tides, and barometric pressure
 
 (function() {
@@ -11,51 +11,511 @@
     // Configuration
     // ============================================
     const CONFIG = {
+        // Morning hours to check (6 AM - 9 AM)
+        morningStartHour: 6,
+        morningEndHour: 9,
+
+        // Number of mornings in the outlook, starting tomorrow
+        outlookDays: 7,
+
+        // NOAA station selection - bundled list so it works offline
+        stationListUrl: 'data/noaa-stations.json',
+        maxStationMiles: 100,
+        stationAttempts: 3,
+
+        // Evening alerts - periodic background sync tag, and how often an open
+        // page re-checks on its own where background sync isn't available
+        alertSyncTag: 'evening-alerts',
+        alertRecheckMinutes: 30,
+
+        // Data freshness - offline, the service worker serves the last cached
+        // response; older than maxDataAgeHours it's refused outright, older
+        // than staleAfterMinutes the page warns about it
+        maxDataAgeHours: { weather: 12, marine: 12, tides: 72, waterTemp: 6, buoys: 3 },
+        staleAfterMinutes: 30,
+
+        // Failed API calls (network errors, 5xx, 429) are retried with
+        // exponential backoff: retryDelayMs, then double that, ...
+        fetchRetries: 2,
+        retryDelayMs: 1000,
+
+        // Weather models pulled from Open-Meteo and scored side by side. The
+        // first one with data drives the card details; HRRR only covers the
+        // US out to about two days, so it drops out of later mornings.
+        weatherModels: [
+            { id: 'ecmwf_ifs025', name: 'ECMWF' },
+            { id: 'gfs_seamless', name: 'GFS' },
+            { id: 'icon_seamless', name: 'ICON' },
+            { id: 'gfs_hrrr', name: 'HRRR' }
+        ],
+        confidenceSpread: { high: 1, medium: 3 },  // Max model spread (points) per confidence level
+        lowConfidencePenalty: 1.5,                 // Ranking handicap for a low-confidence score
+
+        // Tide chart span on the surf and fish cards (local hours)
+        tideChartHours: [4, 12],
+
+        // NDBC buoys - the nearest few from a bundled list, compared with the
+        // marine model at their own position to nowcast tomorrow's swell
+        buoyListUrl: 'data/ndbc-buoys.json',
+        buoyCount: 2,
+        buoyWindowHours: 12,               // Recent observations compared with the model
+        buoyMaxLagHours: 6,                // Furthest early/late the swell is searched for
+        buoyMinLagImprovement: 0.25,       // A shift must cut the model-vs-buoy error by this share
+
+        // Cycling routes - GPX tracks are thinned to routePointSpacingMiles,
+        // then split into legs at turns sharper than cycleLegTurnDegrees
+        routePointSpacingMiles: 0.1,
+        cycleLegTurnDegrees: 60,
+        cycleMinLegMiles: 0.3,             // Shorter stretches fold into the leg before
+        loopCloseMiles: 0.25,              // Start and finish this close make a loop
+        cycleEffortTie: 0.02,              // Directions this close in extra effort count as even
+
+        // Fish card warns when a species' season closes within this many days
+        regulationWarnDays: 7,
+
+        // Forecast drift - every run's scores for a morning, charted over the
+        // last driftDays of runs and dropped driftKeepDays after the morning
+        driftDays: 3,
+        driftKeepDays: 7,
+        driftTrendPoints: 2,               // Score change that counts as trending up or falling
+
+        // Calendar export - photos arrive ahead of sunrise, everything else
+        // starts at the best hour; reminders go off this many minutes before
+        photoArriveMinutes: 20,
+        calendarEventMinutes: 90,
+        calendarAlarmMinutes: [60, 15],
+
+        // Adapter used for each kind of data (see Data Providers), and where
+        // fixture mode (?fixtures in the page URL) reads recorded responses
+        providers: {
+            weather: 'openMeteo',
+            marine: 'openMeteo',
+            tides: 'noaa',
+            waterTemp: 'noaa',
+            astronomy: 'sunriseSunset',
+            buoys: 'ndbc'
+        },
+        fixturesUrl: 'fixtures'
+    };
+
+    // ============================================
+    // Settings (user-editable, persisted in localStorage)
+    // ============================================
+    const SETTINGS_KEY = 'dawnPatrol.settings';
+
+    const DEFAULT_SETTINGS = {
         // Ventnor, NJ coordinates (home base)
+        locationName: 'Ventnor, NJ',
         latitude: 39.3404,
         longitude: -74.4774,
+        timezone: 'America/New_York',
 
         // Surf spots with Surfline IDs
+        // facing: direction the beach faces (toward the water), degrees
+        // swellWindow: [from, to] swell directions that reach the beach, clockwise
+        // preferredTide: 'low' | 'mid' | 'high' | 'any'
         surfSpots: [
-            { name: 'Ventnor Pier', id: '5842041f4e65fad6a7708a09', lat: 39.3404, lng: -74.4774 },
-            { name: 'Atlantic City', id: '5842041f4e65fad6a7708a0d', lat: 39.3643, lng: -74.4229 },
-            { name: 'Ocean City', id: '5842041f4e65fad6a770886d', lat: 39.2776, lng: -74.5746 },
-            { name: 'Brigantine', id: '5842041f4e65fad6a7708a0b', lat: 39.4101, lng: -74.3645 }
+            { name: 'Ventnor Pier', id: '5842041f4e65fad6a7708a09', lat: 39.3404, lng: -74.4774, facing: 150, swellWindow: [60, 210], preferredTide: 'mid' },
+            { name: 'Atlantic City', id: '5842041f4e65fad6a7708a0d', lat: 39.3643, lng: -74.4229, facing: 145, swellWindow: [60, 200], preferredTide: 'mid' },
+            { name: 'Ocean City', id: '5842041f4e65fad6a770886d', lat: 39.2776, lng: -74.5746, facing: 130, swellWindow: [60, 200], preferredTide: 'mid' },
+            { name: 'Brigantine', id: '5842041f4e65fad6a7708a0b', lat: 39.4101, lng: -74.3645, facing: 115, swellWindow: [40, 165], preferredTide: 'mid' }
         ],
 
-        // Morning hours to check (6 AM - 9 AM)
-        morningStartHour: 6,
-        morningEndHour: 9,
+        // Cycling route - ride out to one end, back past home, then the other
+        cycleEndpoints: [
+            { name: 'Atlantic City', lat: 39.3643, lng: -74.4229 },
+            { name: 'Longport', lat: 39.3157, lng: -74.5224 }
+        ],
+
+        // Imported GPX routes, ridden in place of the out-and-back between the
+        // endpoints: { name, points: [[lat, lng], ...] }
+        cycleRoutes: [],
+
+        fishingSpot: 'Ventnor Fishing Pier',
+
+        // Evening notifications about tomorrow morning, sent once after `hour`
+        // rules: activity ('any' = whichever scores best) at or above min
+        alerts: {
+            enabled: false,
+            hour: 19,
+            rules: [
+                { activity: 'surf', min: 7 },
+                { activity: 'any', min: 8 }
+            ],
+            gymFlip: true              // Also alert when the pick stops being HIT THE GYM
+        }
+    };
+
+    function loadSettings() {
+        const defaults = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+        // No localStorage in the service worker - it reads the IndexedDB mirror instead
+        if (typeof localStorage === 'undefined') return defaults;
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            return saved ? { ...defaults, ...saved } : defaults;
+        } catch (error) {
+            console.error('Settings load error:', error);
+            return defaults;
+        }
+    }
+
+    function saveSettings(newSettings) {
+        settings = newSettings;
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(newSettings));
+        storeWorkerConfig();
+    }
+
+    let settings = loadSettings();
 
-        // Cycling directions
-        directions: {
-            longport: 'Longport (South)',
-            atlanticCity: 'Atlantic City (North)'
+    // ============================================
+    // Scoring Weights & Thresholds (advanced settings)
+    // ============================================
+    const SCORING_KEY = 'dawnPatrol.scoring';
+
+    // Curves are [upper limit, score] bands checked in order: the first band
+    // whose limit the value is below wins, null = "and above".
+    const DEFAULT_SCORING = {
+        surf: {
+            weights: { height: 0.4, period: 0.3, wind: 0.3, tide: 0.15 },  // Tide only counts where a spot prefers one
+            heightCurve: [[1, 1], [2, 3], [3, 5], [4, 7], [5, 9], [6, 10], [8, 8], [null, 6]],
+            periodCurve: [[5, 2], [7, 4], [9, 6], [11, 8], [null, 10]],
+            lightWindMph: 8,
+            moderateWindMph: 15,
+            swellFalloffDegrees: 30            // Swell this far outside a spot's window is fully blocked
+        },
+        fish: {
+            // Per species - factors a species doesn't care about drop out
+            speciesWeights: { solunar: 0.2, tide: 0.2, pressure: 0.15, wind: 0.1, waterTemp: 0.15, light: 0.1, surf: 0.1 },
+            windCurve: [[8, 10], [12, 7], [18, 4], [null, 2]],
+            maxGustMph: 30,
+            steadyPressureHpa: 0.5,            // 6-hour change within +/- this is "steady"
+            fastPressureHpa: 2,
+            incomingTideCurve: [[1, 6], [3, 10], [4, 8], [5, 6], [null, 4]],    // Hours into the rising tide
+            outgoingTideCurve: [[1, 6], [3, 9], [4, 7], [5, 5], [null, 3]],     // Hours into the falling tide
+            tideRateCurve: [[0.2, 2], [0.5, 5], [1, 8], [null, 10]],            // Current rate, ft/hr
+            tideStageWeight: 0.6,              // Share of the tide score from stage vs. rate
+            majorPeriodHours: 2,               // Solunar major period length, centered on moon transit
+            minorPeriodHours: 1,               // Minor period length, centered on moonrise / moonset
+            solunarPhaseWeight: 0.4,           // Share of the solunar score from moon phase vs. periods
+            lowLightCurve: [[1, 10], [2, 7], [null, 4]],                        // Hours from sunrise, low-light feeders
+            slowSeasonMax: 4,                  // Cap when no species in the catalog is around
+            closedSeasonMax: 4                 // Cap when every species around is closed (catch and release only)
+        },
+        photo: {
+            // Cloud canvas sets the potential; horizon, visibility and humidity
+            // decide how much of it gets through
+            weights: { horizon: 0.6, visibility: 0.25, humidity: 0.15 },
+            canvasCurve: [[10, 4], [30, 7], [70, 10], [90, 7], [null, 4]],   // Max of high/mid cloud %
+            lowCloudCurve: [[10, 10], [30, 7], [50, 4], [75, 2], [null, 1]], // Low cloud % on the horizon
+            visibilityCurve: [[1, 1], [3, 4], [6, 7], [null, 10]],           // Miles
+            humidityCurve: [[70, 10], [85, 8], [95, 5], [null, 3]],          // % - haze and fog risk
+            lowDeckCloud: 80                   // Low cloud at or above this caps the score at 2
+        },
+        cycle: {
+            weights: { wind: 0.4, weather: 0.3, temp: 0.3 },
+            windCurve: [[8, 10], [12, 8], [null, 5]],
+            noGoWindMph: 15,
+            noGoGustMph: 26,
+            clearCloudMax: 30,
+            partlyCloudMax: 70,
+            idealFeelsLike: [55, 75],
+            okFeelsLike: [45, 85],
+            coldFeelsLike: 35,
+            rideSpeedMph: 15                   // Calm-air pace for timing each leg against the hourly wind
+        },
+        paddle: {
+            // Back-bay SUP/kayak: wind is the chop, so it sets the potential;
+            // tidal current and temperature decide how pleasant it is
+            weights: { current: 0.5, temp: 0.5 },
+            windCurve: [[5, 10], [8, 8], [12, 5], [15, 3], [null, 1]],
+            maxGustMph: 20,                    // Gusts above this cap the score at 2
+            currentCurve: [[0.3, 10], [0.6, 8], [1, 6], [null, 4]],          // Tide rate, ft/hr - slack is easiest
+            tempCurve: [[35, 2], [45, 5], [55, 8], [85, 10], [null, 7]]      // Feels like °F
+        },
+        kite: {
+            // Wind strength sets the potential; direction and gustiness decide
+            // how much of it is usable
+            weights: { direction: 0.7, gust: 0.3 },
+            windCurve: [[12, 1], [15, 4], [18, 8], [25, 10], [30, 5], [null, 1]],   // mph
+            directionCurve: [[-0.75, 6], [-0.25, 10], [0.25, 7], [null, 1]],       // Offshore component, -1 = onshore
+            gustCurve: [[6, 10], [10, 7], [15, 4], [null, 2]],                     // Gusts over the sustained wind, mph
+            maxOffshore: 0.25                  // Wind further offshore than this blows you out to sea - score 1
+        },
+        run: {
+            weights: { tide: 0.5, temp: 0.3, wind: 0.2 },
+            tideCurve: [[0.2, 10], [0.35, 8], [0.5, 5], [0.7, 3], [null, 1]],        // Level, 0 = low - firm sand
+            tempCurve: [[25, 2], [35, 4], [45, 7], [60, 10], [70, 7], [80, 4], [null, 2]],  // Feels like °F
+            windCurve: [[10, 10], [15, 7], [20, 4], [null, 2]]
         }
     };
 
+    function loadScoring() {
+        // Saved values override defaults per activity so new keys still get defaults
+        const scoringDefaults = JSON.parse(JSON.stringify(DEFAULT_SCORING));
+        if (typeof localStorage === 'undefined') return scoringDefaults;
+        try {
+            const saved = JSON.parse(localStorage.getItem(SCORING_KEY)) || {};
+            for (const activity of Object.keys(scoringDefaults)) {
+                scoringDefaults[activity] = { ...scoringDefaults[activity], ...saved[activity] };
+            }
+        } catch (error) {
+            console.error('Scoring load error:', error);
+        }
+        return scoringDefaults;
+    }
+
+    function saveScoring(newScoring) {
+        scoring = newScoring;
+        localStorage.setItem(SCORING_KEY, JSON.stringify(newScoring));
+        storeWorkerConfig();
+    }
+
+    let scoring = loadScoring();
+
+    // ============================================
+    // Fish Species Catalog (editable, persisted in localStorage)
+    // ============================================
+    const SPECIES_KEY = 'dawnPatrol.species';
+
+    // NJ Shore species: months (1-indexed) they're around, ideal water temp
+    // [min, max] °F, what they feed on best - tide ('incoming' | 'outgoing' |
+    // 'moving' | 'slack' | 'high' | 'low' | 'any'), light ('low' = first
+    // light, 'any'), max wind for the technique and surf [min, max] ft - the
+    // bait and technique to suggest, and the open seasons. Each season runs from / to
+    // (MM-DD, inclusive, may wrap past New Year) with a bag limit, minimum
+    // size and an optional slot maximum (inches, exclusive). No seasons means
+    // no size or bag limit; a date outside every season is closed.
+    // Seeded from the NJ Fish & Wildlife marine digest - check it each year.
+    const DEFAULT_SPECIES = [
+        {
+            name: 'Striped Bass', emoji: '🐟', months: [3,4,5,6,10,11,12], temp: [50, 65],
+            tide: 'outgoing', light: 'low', maxWindMph: 20, surf: [2, 5],
+            bait: 'Bunker chunks or clams', technique: 'Surf cast into the wash; swim shads or poppers at first light',
+            seasons: [{ from: '01-01', to: '12-31', bag: 1, minSize: 28, maxSize: 31 }]
+        },
+        {
+            name: 'Bluefish', emoji: '🐟', months: [5,6,7,8,9,10,11], temp: [60, 72],
+            tide: 'moving', light: 'any', maxWindMph: 20, surf: [1, 4],
+            bait: 'Mullet or bunker chunks', technique: 'Cast metal tins into the breaking fish, wire leader',
+            seasons: [{ from: '01-01', to: '12-31', bag: 3, minSize: null, maxSize: null }]
+        },
+        {
+            name: 'Fluke', emoji: '🐟', months: [4,5,6,7,8,9,10], temp: [55, 70],
+            tide: 'incoming', light: 'any', maxWindMph: 12, surf: [0, 2],
+            bait: 'Gulp swimming mullet and squid strips', technique: 'Bucktail jig worked slowly along the bottom',
+            seasons: [{ from: '05-04', to: '09-25', bag: 3, minSize: 18, maxSize: null }]
+        },
+        {
+            name: 'Weakfish', emoji: '🐟', months: [5,6,7,8,9], temp: [58, 68],
+            tide: 'moving', light: 'low', maxWindMph: 15, surf: [0, 3],
+            bait: 'Soft plastics or shrimp', technique: 'Slow-jig soft plastics around the pilings at first light',
+            seasons: [{ from: '01-01', to: '12-31', bag: 1, minSize: 13, maxSize: null }]
+        },
+        {
+            name: 'Black Drum', emoji: '🥁', months: [4,5,6], temp: [55, 70],
+            tide: 'incoming', light: 'any', maxWindMph: 20, surf: [0, 3],
+            bait: 'Fresh clams', technique: 'Fish-finder rig on the bottom with a heavy sinker',
+            seasons: [{ from: '01-01', to: '12-31', bag: 3, minSize: 16, maxSize: null }]
+        },
+        {
+            name: 'Tautog', emoji: '🐟', months: [3,4,5,10,11,12], temp: [50, 60],
+            tide: 'slack', light: 'any', maxWindMph: 15, surf: [0, 2],
+            bait: 'Green crabs or sand fleas', technique: 'Drop straight down along the pilings on a short leader',
+            seasons: [
+                { from: '01-01', to: '02-28', bag: 4, minSize: 15, maxSize: null },
+                { from: '04-01', to: '04-30', bag: 4, minSize: 15, maxSize: null },
+                { from: '08-01', to: '11-15', bag: 1, minSize: 15, maxSize: null },
+                { from: '11-16', to: '12-31', bag: 5, minSize: 15, maxSize: null }
+            ]
+        },
+        {
+            name: 'Kingfish', emoji: '👑', months: [6,7,8,9,10], temp: [60, 75],
+            tide: 'incoming', light: 'any', maxWindMph: 15, surf: [1, 3],
+            bait: 'Bloodworms or clam strips', technique: 'High-low rig cast just past the breakers',
+            seasons: []
+        }
+    ];
+
+    // Filled in for saved species that predate a preference
+    const SPECIES_PREFERENCE_DEFAULTS = { tide: 'moving', light: 'any', maxWindMph: 15, surf: [0, 4], bait: 'Cut bait', technique: 'Bottom rig' };
+
+    function withPreferenceDefaults(species) {
+        // Catalog defaults for the same species first, then the generic ones
+        return species.map(s => ({ ...SPECIES_PREFERENCE_DEFAULTS, ...DEFAULT_SPECIES.find(d => d.name === s.name), ...s }));
+    }
+
+    function loadSpecies() {
+        const defaults = JSON.parse(JSON.stringify(DEFAULT_SPECIES));
+        if (typeof localStorage === 'undefined') return defaults;
+        try {
+            const saved = JSON.parse(localStorage.getItem(SPECIES_KEY));
+            return saved ? withPreferenceDefaults(saved) : defaults;
+        } catch (error) {
+            console.error('Species load error:', error);
+            return defaults;
+        }
+    }
+
+    function saveSpecies(newSpecies) {
+        fishSpecies = newSpecies;
+        localStorage.setItem(SPECIES_KEY, JSON.stringify(newSpecies));
+        storeWorkerConfig();
+    }
+
+    let fishSpecies = loadSpecies();
+
     // ============================================
-    // API Endpoints
+    // Gear Rules (editable, persisted in localStorage)
     // ============================================
+    const GEAR_KEY = 'dawnPatrol.gear';
+
+    // Conditions a gear rule can test, taken at the activity's best hour
+    const GEAR_INPUTS = {
+        waterTemp: 'Water temp (°F)',
+        feelsLike: 'Feels like (°F)',
+        windSpeed: 'Wind (mph)',
+        precipitation: 'Morning rain (in)',
+        waveHeight: 'Waves (ft)',
+        beforeSunrise: 'Minutes before sunrise'
+    };
+
+    // Each rule suggests an item for an activity while its input is in
+    // [min, max) - null leaves that end open. Rules are grouped (wetsuit,
+    // boots, ...): the first match in a group wins, groups add up.
+    // Warnings are flagged on the card.
+    const gearRule = (activity, group, item, input, min, max, warning = false) =>
+        ({ activity, group, item, input, min, max, warning });
+
+    const DEFAULT_GEAR_RULES = [
+        gearRule('surf', 'Wetsuit', '5/4 hooded full suit', 'waterTemp', null, 48),
+        gearRule('surf', 'Wetsuit', '5/4 full suit', 'waterTemp', null, 54),
+        gearRule('surf', 'Wetsuit', '4/3 full suit', 'waterTemp', null, 60),
+        gearRule('surf', 'Wetsuit', '3/2 full suit', 'waterTemp', null, 65),
+        gearRule('surf', 'Wetsuit', 'Spring suit or 2mm top', 'waterTemp', null, 70),
+        gearRule('surf', 'Wetsuit', 'Boardshorts', 'waterTemp', 70, null),
+        gearRule('surf', 'Boots', '7mm boots', 'waterTemp', null, 52),
+        gearRule('surf', 'Boots', '5mm boots', 'waterTemp', null, 58),
+        gearRule('surf', 'Boots', '3mm boots', 'waterTemp', null, 62),
+        gearRule('surf', 'Gloves', '7mm mitts', 'waterTemp', null, 48),
+        gearRule('surf', 'Gloves', '5mm gloves', 'waterTemp', null, 55),
+        gearRule('surf', 'Gloves', '3mm gloves', 'waterTemp', null, 58),
+        gearRule('surf', 'Hood', 'Hood', 'waterTemp', null, 52),
+        gearRule('surf', 'Hood', 'Hood for the wind chill', 'feelsLike', null, 32),
+        gearRule('surf', 'Changing', 'Changing robe and a warm layer for after', 'feelsLike', null, 45),
+
+        gearRule('cycle', 'Layers', 'Winter jacket, thermal tights, lobster gloves, shoe covers', 'feelsLike', null, 32),
+        gearRule('cycle', 'Layers', 'Thermal jersey, tights, full-finger gloves', 'feelsLike', null, 45),
+        gearRule('cycle', 'Layers', 'Long sleeves, knee warmers, wind vest', 'feelsLike', null, 55),
+        gearRule('cycle', 'Layers', 'Jersey with arm warmers', 'feelsLike', null, 65),
+        gearRule('cycle', 'Layers', 'Short sleeves', 'feelsLike', 65, null),
+        gearRule('cycle', 'Lights', 'Front and rear lights - you start before sunrise', 'beforeSunrise', 0, null, true),
+        gearRule('cycle', 'Rain', 'Rain jacket and fenders', 'precipitation', 0.05, null),
+        gearRule('cycle', 'Rain', 'Packable rain shell', 'precipitation', 0.01, null),
+
+        gearRule('fish', 'Rain', 'Rain jacket and bibs', 'precipitation', 0.1, null),
+        gearRule('fish', 'Rain', 'Rain shell', 'precipitation', 0.01, null),
+        gearRule('fish', 'Layers', 'Insulated jacket, hat and gloves', 'feelsLike', null, 40),
+        gearRule('fish', 'Layers', 'Fleece and a windbreaker', 'feelsLike', null, 55),
+        gearRule('fish', 'Wading', 'No wading - heavy shore break', 'waveHeight', 4, null, true),
+        gearRule('fish', 'Wading', 'Wade no deeper than your knees', 'waveHeight', 2.5, null, true),
+        gearRule('fish', 'Waders', 'Waders, not wet-wading', 'waterTemp', null, 60),
+        gearRule('fish', 'Jetty', 'Stay off the jetty rocks', 'windSpeed', 20, null, true),
+
+        gearRule('paddle', 'Immersion', 'Drysuit - dress for the swim, not the air', 'waterTemp', null, 55),
+        gearRule('paddle', 'Immersion', 'Farmer john wetsuit', 'waterTemp', null, 65),
+        gearRule('paddle', 'Leash', 'Leash and PFD - the wind will push you off', 'windSpeed', 10, null, true),
+        gearRule('paddle', 'Layers', 'Windproof top and a hat', 'feelsLike', null, 50),
+
+        gearRule('kite', 'Kite', '12-14m kite', 'windSpeed', null, 18),
+        gearRule('kite', 'Kite', '9-10m kite', 'windSpeed', null, 23),
+        gearRule('kite', 'Kite', '7m kite', 'windSpeed', 23, null),
+        gearRule('kite', 'Wetsuit', '5/4 hooded full suit, boots and gloves', 'waterTemp', null, 50),
+        gearRule('kite', 'Wetsuit', '4/3 full suit and boots', 'waterTemp', null, 60),
+        gearRule('kite', 'Wetsuit', '3/2 full suit', 'waterTemp', null, 68),
+        gearRule('kite', 'Wetsuit', 'Shorty or boardshorts', 'waterTemp', 68, null),
+
+        gearRule('run', 'Layers', 'Tights, jacket, gloves and hat', 'feelsLike', null, 35),
+        gearRule('run', 'Layers', 'Long sleeves and gloves', 'feelsLike', null, 45),
+        gearRule('run', 'Layers', 'Long sleeve top', 'feelsLike', null, 55),
+        gearRule('run', 'Layers', 'Shorts and a tee', 'feelsLike', 55, null),
+        gearRule('run', 'Lights', 'Headlamp or reflective vest - you start before sunrise', 'beforeSunrise', 0, null, true)
+    ];
+
+    function loadGearRules() {
+        const defaults = JSON.parse(JSON.stringify(DEFAULT_GEAR_RULES));
+        if (typeof localStorage === 'undefined') return defaults;
+        try {
+            return JSON.parse(localStorage.getItem(GEAR_KEY)) || defaults;
+        } catch (error) {
+            console.error('Gear rules load error:', error);
+            return defaults;
+        }
+    }
+
+    function saveGearRules(newRules) {
+        gearRules = newRules;
+        localStorage.setItem(GEAR_KEY, JSON.stringify(newRules));
+        storeWorkerConfig();
+    }
+
+    let gearRules = loadGearRules();
+
+    // Forecasts include today, so fetch one day more than the outlook
+    const FORECAST_DAYS = CONFIG.outlookDays + 1;
+
+    // Open-Meteo hourly variable behind each internal weather field,
+    // requested from every weather model
+    const OPEN_METEO_WEATHER_FIELDS = {
+        temperature: 'temperature_2m',
+        feelsLike: 'apparent_temperature',
+        cloudCover: 'cloud_cover',
+        cloudLow: 'cloud_cover_low',
+        cloudMid: 'cloud_cover_mid',
+        cloudHigh: 'cloud_cover_high',
+        precipitation: 'precipitation',
+        snowfall: 'snowfall',
+        windSpeed: 'wind_speed_10m',
+        windDirection: 'wind_direction_10m',
+        windGusts: 'wind_gusts_10m',
+        pressure: 'pressure_msl',
+        visibility: 'visibility',
+        humidity: 'relative_humidity_2m'
+    };
+
+    const OPEN_METEO_MARINE_FIELDS = {
+        waveHeight: 'wave_height',
+        waveDirection: 'wave_direction',
+        wavePeriod: 'wave_period',
+        swellHeight: 'swell_wave_height',
+        swellDirection: 'swell_wave_direction',
+        swellPeriod: 'swell_wave_period'
+    };
+
     const API = {
-        // Using ECMWF model - generally most accurate global model
+        // All models in one request - Open-Meteo suffixes each variable with the model id
         openMeteo: (lat, lng) =>
-            `https://api.open-meteo.com/v1/ecmwf?latitude=${lat}&longitude=${lng}&hourly=temperature_2m,apparent_temperature,cloud_cover,precipitation,snowfall,wind_speed_10m,wind_direction_10m,wind_gusts_10m,pressure_msl&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&timezone=America/New_York&forecast_days=2`,
+            `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&hourly=${Object.values(OPEN_METEO_WEATHER_FIELDS).join(',')}&models=${CONFIG.weatherModels.map(m => m.id).join(',')}&temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&timezone=${encodeURIComponent(settings.timezone)}&forecast_days=${FORECAST_DAYS}`,
 
         sunrise: (lat, lng, date) =>
             `https://api.sunrise-sunset.org/json?lat=${lat}&lng=${lng}&date=${date}&formatted=0`,
 
-        // NOAA Tides & Currents API - Atlantic City station 8534720
-        noaaTides: (beginDate, endDate) =>
-            `https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?begin_date=${beginDate}&end_date=${endDate}&station=8534720&product=predictions&datum=MLLW&time_zone=lst_ldt&interval=hilo&units=english&format=json`,
+        // NOAA Tides & Currents API - nearest station with tide predictions,
+        // hi/lo turns or the 6-minute curve (interval=6)
+        noaaTides: (stationId, beginDate, endDate, interval = 'hilo') =>
+            `https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?begin_date=${beginDate}&end_date=${endDate}&station=${stationId}&product=predictions&datum=MLLW&time_zone=lst_ldt&interval=${interval}&units=english&format=json`,
 
-        // NOAA water temp - Atlantic City Steel Pier station 8534720
-        noaaWaterTemp: () =>
-            `https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?date=latest&station=8534720&product=water_temperature&units=english&time_zone=lst_ldt&format=json`,
+        // NOAA water temp - nearest station reporting water temperature
+        noaaWaterTemp: (stationId) =>
+            `https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?date=latest&station=${stationId}&product=water_temperature&units=english&time_zone=lst_ldt&format=json`,
 
-        // Open-Meteo Marine API for wave data (free, no CORS issues)
+        // NDBC realtime buoy observations - whitespace-separated text, newest first
+        ndbcRealtime: (buoyId) =>
+            `https://www.ndbc.noaa.gov/data/realtime2/${buoyId}.txt`,
+
+        // Open-Meteo Marine API for wave data (free, no CORS issues). Starts
+        // yesterday so overnight buoy reports have model hours to compare with.
         marineWaves: (lat, lng) =>
-            `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lng}&hourly=wave_height,wave_direction,wave_period,swell_wave_height,swell_wave_direction,swell_wave_period&timezone=America/New_York&forecast_days=2&length_unit=imperial`
+            `https://marine-api.open-meteo.com/v1/marine?latitude=${lat}&longitude=${lng}&hourly=${Object.values(OPEN_METEO_MARINE_FIELDS).join(',')}&timezone=${encodeURIComponent(settings.timezone)}&past_days=1&forecast_days=${FORECAST_DAYS}&length_unit=imperial`
     };
 
     // ============================================
@@ -63,19 +523,94 @@
     // ============================================
     let state = {
         weather: null,
-        sunrise: null,
-        marineData: null,
-        noaaTides: null,
-        waterTempData: null,
-        scores: {
-            surf: 0,
-            fish: 0,
-            photo: 0,
-            cycle: 0
-        },
-        recommendation: null
+        sunrise: {},        // Astronomy data keyed by YYYY-MM-DD
+        spotData: [],
+        tides: null,
+        waterTemp: null,
+        stations: {},       // NOAA station used per product: { tides, waterTemp }
+        buoys: [],          // Nearby buoys: observations, marine model there, comparison
+        buoyNowcastHours: 0,    // Swell timing seen at the buoys (+ = early)
+        days: {},           // Scores + recommendation per outlook date
+        selectedDate: null
     };
 
+    // Fixture mode: every provider reads its recorded response from
+    // CONFIG.fixturesUrl and the clock is pinned to when they were recorded
+    const fixtureMode = typeof location !== 'undefined' && new URLSearchParams(location.search).has('fixtures');
+    let fixtureClock = null;
+    let fixtureLocation = null;
+
+    function now() {
+        return fixtureClock ?? Date.now();
+    }
+
+    // ============================================
+    // Local Database (IndexedDB)
+    // ============================================
+    // journal:     logged sessions, auto-increment id, indexed by date
+    // predictions: latest run's prediction per target date, so a session logged
+    //              after the morning can be compared with what was forecast
+    // config:      settings mirrored for the service worker (no localStorage
+    //              there) and the evening alert state
+    // runs:        every run's scores, pick and key inputs per target date,
+    //              auto-increment id, indexed by date - the forecast trend
+    const DB_NAME = 'dawn-patrol';
+    const DB_VERSION = 3;
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        const journal = db.createObjectStore('journal', { keyPath: 'id', autoIncrement: true });
+                        journal.createIndex('date', 'date');
+                        db.createObjectStore('predictions', { keyPath: 'date' });
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('config', { keyPath: 'key' });
+                    }
+                    if (event.oldVersion < 3) {
+                        const runs = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+                        runs.createIndex('date', 'date');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    async function dbRequest(storeName, mode, makeRequest) {
+        // Run a single request against one object store and resolve with its result
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    const dbGet = (storeName, key) => dbRequest(storeName, 'readonly', store => store.get(key));
+    const dbGetAll = (storeName) => dbRequest(storeName, 'readonly', store => store.getAll());
+    const dbPut = (storeName, value) => dbRequest(storeName, 'readwrite', store => store.put(value));
+    const dbDelete = (storeName, key) => dbRequest(storeName, 'readwrite', store => store.delete(key));
+    const dbGetAllByIndex = (storeName, indexName, query) =>
+        dbRequest(storeName, 'readonly', store => store.index(indexName).getAll(query));
+
+    function storeWorkerConfig() {
+        Promise.all([
+            dbPut('config', { key: 'settings', value: settings }),
+            dbPut('config', { key: 'scoring', value: scoring }),
+            dbPut('config', { key: 'species', value: fishSpecies }),
+            dbPut('config', { key: 'gearRules', value: gearRules })
+        ]).catch(error => console.error('Config mirror error:', error));
+    }
+
     // ============================================
     // Utility Functions
     // ============================================
@@ -87,20 +622,68 @@
         return `${year}-${month}-${day}`;
     }
 
+    function addDays(dateStr, days) {
+        // Calendar arithmetic on a YYYY-MM-DD date - no timezone involved
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    function getHomeDate(time) {
+        // YYYY-MM-DD at home - days are home days, whatever timezone the device is in
+        const parts = {};
+        for (const part of new Intl.DateTimeFormat('en-US', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            timeZone: settings.timezone
+        }).formatToParts(new Date(time))) {
+            parts[part.type] = part.value;
+        }
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
     function getTomorrowDate() {
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        return formatLocalDate(tomorrow);
+        return addDays(getHomeDate(now()), 1);
+    }
+
+    function getOutlookDates() {
+        // Every morning in the outlook, starting tomorrow
+        const tomorrow = getTomorrowDate();
+        const dates = [];
+        for (let i = 0; i < CONFIG.outlookDays; i++) {
+            dates.push(addDays(tomorrow, i));
+        }
+        return dates;
+    }
+
+    function formatDayName(dateStr, style = 'long') {
+        // "Tomorrow" for the first outlook day, weekday name after that
+        if (style === 'long' && dateStr === getTomorrowDate()) return 'Tomorrow';
+        return new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { weekday: style });
     }
 
     function formatTime(date) {
         return new Date(date).toLocaleTimeString('en-US', {
             hour: 'numeric',
             minute: '2-digit',
-            hour12: true
+            hour12: true,
+            timeZone: settings.timezone
         });
     }
 
+    function getLocalHours(date) {
+        // Fractional wall-clock hour in the home timezone (forecast times are home-local)
+        const parts = new Intl.DateTimeFormat('en-US', {
+            hour: 'numeric',
+            minute: 'numeric',
+            hourCycle: 'h23',
+            timeZone: settings.timezone
+        }).formatToParts(new Date(date));
+        const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+        const minute = parseInt(parts.find(p => p.type === 'minute').value, 10);
+        return hour + minute / 60;
+    }
+
     function formatDateTime(date) {
         return new Date(date).toLocaleString('en-US', {
             month: 'short',
@@ -110,6 +693,15 @@
         });
     }
 
+    function formatAge(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min old`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours}h old`;
+        return `${Math.round(hours / 24)}d old`;
+    }
+
     function degreesToCardinal(degrees) {
         const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
                            'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
@@ -117,8 +709,60 @@
         return directions[index];
     }
 
+    function getBearing(lat1, lng1, lat2, lng2) {
+        // Initial great-circle bearing from point 1 to point 2 (0-360, 0 = north)
+        const toRad = Math.PI / 180;
+        const dLng = (lng2 - lng1) * toRad;
+        const y = Math.sin(dLng) * Math.cos(lat2 * toRad);
+        const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+                  Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos(dLng);
+        return (Math.atan2(y, x) / toRad + 360) % 360;
+    }
+
+    function getDistanceMiles(lat1, lng1, lat2, lng2) {
+        // Haversine distance
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLng = (lng2 - lng1) * toRad;
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLng / 2) ** 2;
+        return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    function angleDifference(a, b) {
+        // Smallest signed difference a - b in degrees (-180 to 180)
+        return ((a - b + 540) % 360) - 180;
+    }
+
+    function getOffshoreComponent(windFrom, beachFacing) {
+        // +1 = straight offshore, 0 = cross-shore, -1 = straight onshore.
+        // Offshore wind blows from the land, i.e. from behind the beach.
+        return Math.cos(angleDifference(windFrom, beachFacing + 180) * Math.PI / 180);
+    }
+
+    function describeWindComponent(component) {
+        if (component >= 0.75) return 'offshore';
+        if (component >= 0.25) return 'cross-offshore';
+        if (component > -0.25) return 'cross-shore';
+        if (component > -0.75) return 'cross-onshore';
+        return 'onshore';
+    }
+
+    function getSwellExposure(swellFrom, swellWindow, falloffDegrees) {
+        // 1 inside the spot's swell window, fading to 0 falloffDegrees outside it
+        if (!swellWindow) return 1;
+        const [from, to] = swellWindow;
+        const width = (to - from + 360) % 360;
+        if ((swellFrom - from + 360) % 360 <= width) return 1;
+        const outside = Math.min(
+            Math.abs(angleDifference(swellFrom, from)),
+            Math.abs(angleDifference(swellFrom, to))
+        );
+        return Math.max(0, 1 - outside / falloffDegrees);
+    }
+
     function getMorningHourIndex(hourlyTimes, targetDate) {
-        // Find the index for tomorrow morning (6-9 AM)
+        // Find the first index in the target morning window (6-9 AM)
         for (let i = 0; i < hourlyTimes.length; i++) {
             const time = new Date(hourlyTimes[i]);
             const dateStr = formatLocalDate(time);
@@ -131,17 +775,85 @@
         return -1;
     }
 
-    function getMorningWeatherCondition(weather) {
-        // Determine precipitation and weather conditions for tomorrow morning
-        const tomorrow = getTomorrowDate();
-        const hourIndex = getMorningHourIndex(weather.hourly.time, tomorrow);
+    function getMorningHourIndices(hourlyTimes, targetDate) {
+        // Every index inside the morning window (6-9 AM) for the target date
+        const indices = [];
+        for (let i = 0; i < hourlyTimes.length; i++) {
+            const time = new Date(hourlyTimes[i]);
+            const hour = time.getHours();
+
+            if (formatLocalDate(time) === targetDate && hour >= CONFIG.morningStartHour && hour <= CONFIG.morningEndHour) {
+                indices.push(i);
+            }
+        }
+        return indices;
+    }
+
+    function formatHour(hour) {
+        const ampm = hour >= 12 ? 'PM' : 'AM';
+        const hour12 = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
+        return `${hour12} ${ampm}`;
+    }
+
+    function scoreFromCurve(curve, value) {
+        // First [limit, score] band the value is below; null limit = "and above"
+        for (const [limit, score] of curve) {
+            if (limit === null || value < limit) return score;
+        }
+        return curve[curve.length - 1][1];
+    }
+
+    function weightedScore(parts, weights) {
+        // Weighted average of factor scores - weights don't have to sum to 1
+        let total = 0;
+        let weightSum = 0;
+        for (const [factor, weight] of Object.entries(weights)) {
+            total += (parts[factor] || 0) * weight;
+            weightSum += weight;
+        }
+        return weightSum > 0 ? total / weightSum : 0;
+    }
+
+    function interpolateAtHour(weather, variable, targetDate, hour) {
+        // Linear between the forecast hours either side of a fractional local
+        // hour; null when the model doesn't have the variable
+        const values = weather.hourly[variable];
+        const base = Math.floor(hour);
+        const i = weather.hourly.time.indexOf(`${targetDate}T${String(base).padStart(2, '0')}:00`);
+        if (!values || i === -1 || values[i] === null || values[i] === undefined) return null;
+        const next = values[i + 1];
+        if (next === null || next === undefined) return values[i];
+        return values[i] + (next - values[i]) * (hour - base);
+    }
+
+    function pickBestHour(hourResults) {
+        // Highest unrounded score wins; earliest hour on ties
+        return hourResults.reduce((best, h) => (h.rawScore > best.rawScore ? h : best), hourResults[0]);
+    }
+
+    function formatPeak(data) {
+        // "Best at 8 AM, after the wind goes offshore"
+        if (!data || data.bestHour === undefined) return '';
+        const time = data.bestTime || formatHour(data.bestHour);
+        return data.peakNote ? `Best at ${time}, ${data.peakNote}` : `Best at ${time}`;
+    }
+
+    function formatHourScores(hourResults) {
+        // Compact per-hour strip: "6 AM 5 · 7 AM 6 · 8 AM 8"
+        if (!hourResults || hourResults.length < 2) return '';
+        return hourResults.map(h => `${formatHour(h.hour)} ${h.score}`).join(' · ');
+    }
+
+    function getMorningWeatherCondition(weather, targetDate) {
+        // Determine precipitation and weather conditions for the target morning
+        const hourIndex = getMorningHourIndex(weather.hourly.time, targetDate);
         if (hourIndex === -1) return { precipitation: 0, snowfall: 0, feelsLike: null, condition: 'Unknown' };
 
         const precip = weather.hourly.precipitation?.[hourIndex] || 0;
         const snow = weather.hourly.snowfall?.[hourIndex] || 0;
-        const feelsLike = weather.hourly.apparent_temperature?.[hourIndex] || null;
-        const cloudCover = weather.hourly.cloud_cover?.[hourIndex] || 0;
-        const windSpeed = weather.hourly.wind_speed_10m?.[hourIndex] || 0;
+        const feelsLike = weather.hourly.feelsLike?.[hourIndex] || null;
+        const cloudCover = weather.hourly.cloudCover?.[hourIndex] || 0;
+        const windSpeed = weather.hourly.windSpeed?.[hourIndex] || 0;
 
         // Check multiple morning hours for precip (6-9 AM)
         let totalPrecip = 0;
@@ -172,212 +884,961 @@
     // ============================================
     // API Fetching
     // ============================================
-    async function fetchWeather() {
+    const SOURCE_NAMES = {
+        weather: 'Weather',
+        wind: 'Wind',
+        marine: 'Marine',
+        tides: 'Tides',
+        waterTemp: 'Water temp',
+        sunrise: 'Sunrise time',
+        buoys: 'Buoys'
+    };
+
+    async function fetchWithRetry(url) {
+        // Anything other than a network error, 5xx or 429 is a real answer
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await fetch(url);
+                const isRetryable = response.status >= 500 || response.status === 429;
+                if (response.ok || !isRetryable || attempt >= CONFIG.fetchRetries) return response;
+            } catch (error) {
+                if (attempt >= CONFIG.fetchRetries) throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelayMs * 2 ** attempt));
+        }
+    }
+
+    function getFetchedAt(response, source) {
+        // The service worker stamps cached API responses with their original
+        // fetch time; anything without a stamp came straight off the network
+        const stamped = response.headers.get('X-Fetched-At');
+        const fetchedAt = stamped ? Date.parse(stamped) : now();
+        const maxAgeHours = CONFIG.maxDataAgeHours[source];
+        if (maxAgeHours && now() - fetchedAt > maxAgeHours * 60 * 60 * 1000) {
+            throw new Error(`${SOURCE_NAMES[source]} data is too old (${formatAge(now() - fetchedAt)})`);
+        }
+        return fetchedAt;
+    }
+
+    async function loadProviderResponse(url, fixtureFile, source) {
+        // One provider request - or, in fixture mode, its recorded response
+        if (fixtureMode) {
+            const response = await fetch(`${CONFIG.fixturesUrl}/${fixtureFile}`);
+            if (!response.ok) throw new Error(`No ${fixtureFile} fixture`);
+            return { response, fetchedAt: now() };
+        }
+        const response = await fetchWithRetry(url);
+        if (!response.ok) throw new Error(`${SOURCE_NAMES[source]} API failed`);
+        return { response, fetchedAt: getFetchedAt(response, source) };
+    }
+
+    async function loadProviderJson(url, fixture, source) {
+        const { response, fetchedAt } = await loadProviderResponse(url, `${fixture}.json`, source);
+        const data = await response.json();
+        data.fetchedAt = fetchedAt;
+        return data;
+    }
+
+    async function loadProviderText(url, fixture, source) {
+        const { response, fetchedAt } = await loadProviderResponse(url, `${fixture}.txt`, source);
+        return { text: await response.text(), fetchedAt };
+    }
+
+    async function loadFixtureManifest() {
+        // Pins the clock to the recording so the outlook dates line up with it
+        const response = await fetch(`${CONFIG.fixturesUrl}/manifest.json`);
+        if (!response.ok) throw new Error('Fixture manifest missing');
+        const manifest = await response.json();
+        fixtureClock = Date.parse(manifest.recordedAt);
+        fixtureLocation = manifest.location;
+    }
+
+    // ============================================
+    // Data Providers
+    // ============================================
+    // Adapters turn each provider's responses into the app's own shapes, so
+    // nothing past this point reads provider field names. Swapping a source
+    // means adding an adapter here and pointing CONFIG.providers at it; each
+    // adapter names the fixture its request is recorded in.
+    //
+    // weather    { model, hourly, members: [{ model, hourly }] } - hourly holds
+    //            time[] plus one array per OPEN_METEO_WEATHER_FIELDS key
+    //            (°F, %, in, mph, degrees from, hPa, visibility in miles)
+    // marine     { hourly } - time[] plus one array per OPEN_METEO_MARINE_FIELDS
+    //            key (ft, s, degrees from)
+    // tides      { turns: [{ type: 'H' | 'L', time, height }], curve: [{ time, height }] }
+    //            (naive ms, ft above MLLW)
+    // waterTemp  { temperature, time } (°F, naive ms)
+    // astronomy  { sunrise, sunset, civilTwilightBegin } (ISO timestamps)
+    // buoys      { observations: [{ time, waveHeight, period, direction, windSpeed,
+    //            windDirection, waterTemp }] } (UTC ms, newest first, ft, s,
+    //            degrees from, mph, °F; null = not reported)
+    //
+    // hourly.time is local "YYYY-MM-DDTHH:MM". Everything also carries
+    // fetchedAt (ms). Station ids come from the bundled NOAA station list.
+    const PROVIDERS = {
+        weather: {
+            openMeteo: {
+                fetch: async (lat, lng) => parseOpenMeteoWeather(
+                    await loadProviderJson(API.openMeteo(lat, lng), 'open-meteo/forecast', 'weather'))
+            }
+        },
+        marine: {
+            openMeteo: {
+                fetch: async (lat, lng) => parseOpenMeteoMarine(
+                    await loadProviderJson(API.marineWaves(lat, lng), 'open-meteo/marine', 'marine'))
+            }
+        },
+        tides: {
+            noaa: {
+                async fetch(stationId, beginDate, endDate) {
+                    const hilo = await loadProviderJson(
+                        API.noaaTides(stationId, beginDate, endDate), 'noaa/tides-hilo', 'tides');
+                    // NOAA answers 200 with an error body when a station lacks the product
+                    if (hilo.error || !hilo.predictions) throw new Error(`No tide predictions at ${stationId}`);
+                    // 6-minute predictions; subordinate stations only publish hi/lo,
+                    // in which case the curve is interpolated from the turns instead
+                    const curve = await loadProviderJson(
+                        API.noaaTides(stationId, beginDate, endDate, 6), 'noaa/tides-6min', 'tides'
+                    ).catch(error => {
+                        console.log('Tide curve unavailable, interpolating hi/lo:', error.message);
+                        return null;
+                    });
+                    return parseNoaaTides(hilo, curve);
+                }
+            }
+        },
+        waterTemp: {
+            noaa: {
+                async fetch(stationId) {
+                    const data = await loadProviderJson(API.noaaWaterTemp(stationId), 'noaa/water-temp', 'waterTemp');
+                    if (data.error || !data.data || data.data.length === 0) {
+                        throw new Error(`No water temperature at ${stationId}`);
+                    }
+                    return parseNoaaWaterTemp(data);
+                }
+            }
+        },
+        astronomy: {
+            // sunrise-sunset.org answers one date per request
+            sunriseSunset: {
+                fetch: async (lat, lng, date) => parseSunriseSunset(
+                    await loadProviderJson(API.sunrise(lat, lng, date), `sunrise-sunset/${date}`, 'sunrise'))
+            }
+        },
+        buoys: {
+            ndbc: {
+                fetch: async (buoyId) => parseNdbcRealtime(
+                    await loadProviderText(API.ndbcRealtime(buoyId), `ndbc/${buoyId}`, 'buoys'))
+            }
+        }
+    };
+
+    function getProvider(kind) {
+        return PROVIDERS[kind][CONFIG.providers[kind]];
+    }
+
+    function pickFields(source, fields, convert = {}) {
+        // Provider arrays renamed to internal fields; missing ones come back empty
+        const hourly = { time: source.time };
+        for (const [field, variable] of Object.entries(fields)) {
+            const values = source[variable] || [];
+            hourly[field] = convert[field] ? values.map(v => (v === null ? null : convert[field](v))) : values;
+        }
+        return hourly;
+    }
+
+    function parseOpenMeteoWeather(data) {
+        // Open-Meteo suffixes each variable with the model id. One { model,
+        // hourly } member per model that returned anything; the first member
+        // doubles as the weather object's own hourly for single-model code.
+        const members = [];
+        for (const model of CONFIG.weatherModels) {
+            const suffixed = { time: data.hourly.time };
+            for (const variable of Object.values(OPEN_METEO_WEATHER_FIELDS)) {
+                suffixed[variable] = data.hourly[`${variable}_${model.id}`];
+            }
+            const hourly = pickFields(suffixed, OPEN_METEO_WEATHER_FIELDS, { visibility: meters => meters / 1609.34 });
+            if (hourly.windSpeed.some(value => value !== null)) {
+                members.push({ model: model.name, hourly });
+            }
+        }
+        if (members.length === 0) throw new Error('No weather model returned data');
+        return { fetchedAt: data.fetchedAt, hourly: members[0].hourly, model: members[0].model, members };
+    }
+
+    function parseOpenMeteoMarine(data) {
+        return { fetchedAt: data.fetchedAt, hourly: pickFields(data.hourly, OPEN_METEO_MARINE_FIELDS) };
+    }
+
+    function parseNoaaTime(t) {
+        // "2024-02-27 06:32" (station-local, lst_ldt) -> naive ms
+        return Date.parse(`${t.replace(' ', 'T')}:00Z`);
+    }
+
+    function parseNoaaTides(hilo, curve) {
+        // NOAA format: { t: "2024-02-27 06:32", v: "4.123", type: "H" }
+        const turns = hilo.predictions
+            .filter(p => p.type === 'H' || p.type === 'L')
+            .map(p => ({ type: p.type, time: parseNoaaTime(p.t), height: parseFloat(p.v) }));
+        return {
+            fetchedAt: hilo.fetchedAt,
+            turns,
+            curve: curve && curve.predictions
+                ? curve.predictions.map(p => ({ time: parseNoaaTime(p.t), height: parseFloat(p.v) }))
+                : buildTideCurve(turns)
+        };
+    }
+
+    function parseNoaaWaterTemp(data) {
+        const latest = data.data[0];
+        return { fetchedAt: data.fetchedAt, temperature: parseFloat(latest.v), time: parseNoaaTime(latest.t) };
+    }
+
+    function parseSunriseSunset(data) {
+        if (data.status !== 'OK' || !data.results) throw new Error(`Sunrise API: ${data.status}`);
+        return {
+            fetchedAt: data.fetchedAt,
+            sunrise: data.results.sunrise,
+            sunset: data.results.sunset,
+            civilTwilightBegin: data.results.civil_twilight_begin
+        };
+    }
+
+    function parseNdbcRealtime({ text, fetchedAt }) {
+        // Standard meteorological file: a "#YY MM DD hh mm WDIR ..." header,
+        // a units line, then one row per report in UTC, "MM" = missing.
+        // Waves are metres, wind m/s, temperatures °C.
+        const lines = text.split('\n').filter(line => line.trim());
+        const columns = lines[0].replace(/^#/, '').trim().split(/\s+/);
+        const observations = lines.filter(line => !line.startsWith('#')).map(line => {
+            const row = {};
+            line.trim().split(/\s+/).forEach((value, i) => {
+                row[columns[i]] = value === 'MM' ? null : parseFloat(value);
+            });
+            const convert = (value, factor, offset = 0) => (value === null || value === undefined ? null : value * factor + offset);
+            return {
+                time: Date.UTC(row.YY, row.MM - 1, row.DD, row.hh, row.mm),
+                waveHeight: convert(row.WVHT, 3.28084),
+                period: convert(row.DPD, 1),
+                direction: convert(row.MWD, 1),
+                windSpeed: convert(row.WSPD, 2.23694),
+                windDirection: convert(row.WDIR, 1),
+                waterTemp: convert(row.WTMP, 1.8, 32)
+            };
+        });
+        if (observations.length === 0) throw new Error('No buoy observations');
+        return { fetchedAt, observations };
+    }
+
+    // ============================================
+    // Source Fetching
+    // ============================================
+    async function fetchWeather(lat = settings.latitude, lng = settings.longitude) {
         try {
-            const response = await fetch(API.openMeteo(CONFIG.latitude, CONFIG.longitude));
-            if (!response.ok) throw new Error('Weather API failed');
-            return await response.json();
+            return await getProvider('weather').fetch(lat, lng);
         } catch (error) {
             console.error('Weather fetch error:', error);
             throw error;
         }
     }
 
-    async function fetchSunrise() {
+    async function fetchSunrise(date) {
         try {
-            const tomorrow = getTomorrowDate();
-            const response = await fetch(API.sunrise(CONFIG.latitude, CONFIG.longitude, tomorrow));
-            if (!response.ok) throw new Error('Sunrise API failed');
-            return await response.json();
+            return await getProvider('astronomy').fetch(settings.latitude, settings.longitude, date);
         } catch (error) {
             console.error('Sunrise fetch error:', error);
             throw error;
         }
     }
 
-    async function fetchNoaaTides() {
+    async function fetchOutlookSunrises() {
+        const dates = getOutlookDates();
+        const results = await Promise.all(dates.map(date => fetchSunrise(date).catch(() => null)));
+        const byDate = {};
+        dates.forEach((date, i) => { byDate[date] = results[i]; });
+        return byDate;
+    }
+
+    async function fetchStationList(url = CONFIG.stationListUrl) {
+        // Bundled NOAA station / NDBC buoy list (cached by the service worker for offline use)
         try {
-            const today = new Date();
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
+            const response = await fetch(url);
+            if (!response.ok) throw new Error('Station list failed');
+            return await response.json();
+        } catch (error) {
+            console.error('Station list fetch error:', error);
+            return [];
+        }
+    }
 
-            // Format dates as YYYYMMDD for NOAA API
-            const beginDate = formatLocalDate(today).replace(/-/g, '');
-            const endDate = formatLocalDate(tomorrow).replace(/-/g, '');
+    function getNearestStations(stations, product, lat, lng) {
+        // Stations offering the product, nearest first, within range
+        return stations
+            .filter(station => station[product])
+            .map(station => ({
+                ...station,
+                distance: getDistanceMiles(lat, lng, station.lat, station.lng)
+            }))
+            .filter(station => station.distance <= CONFIG.maxStationMiles)
+            .sort((a, b) => a.distance - b.distance);
+    }
 
-            const response = await fetch(API.noaaTides(beginDate, endDate));
-            if (!response.ok) throw new Error('NOAA Tides API failed');
-            return await response.json();
+    async function fetchFromNearestStation(candidates, fetchStation) {
+        // Try the nearest few stations until one actually returns the product
+        for (const station of candidates.slice(0, CONFIG.stationAttempts)) {
+            const data = await fetchStation(station.id);
+            if (data) return { data, station };
+        }
+        return { data: null, station: null };
+    }
+
+    async function fetchTides(stationId) {
+        try {
+            // Today through the last outlook morning, as YYYYMMDD
+            const outlookDates = getOutlookDates();
+            const beginDate = getHomeDate(now()).replace(/-/g, '');
+            const endDate = outlookDates[outlookDates.length - 1].replace(/-/g, '');
+            return await getProvider('tides').fetch(stationId, beginDate, endDate);
         } catch (error) {
-            console.error('NOAA Tides fetch error:', error);
+            console.error('Tides fetch error:', error);
             return null;
         }
     }
 
-    async function fetchWaterTemp() {
+    async function fetchWaterTemp(stationId) {
         try {
-            const response = await fetch(API.noaaWaterTemp());
-            if (!response.ok) throw new Error('NOAA water temp API failed');
-            return await response.json();
+            return await getProvider('waterTemp').fetch(stationId);
         } catch (error) {
             console.error('Water temp fetch error:', error);
             return null;
         }
     }
 
-    async function fetchMarineData() {
-        // Fetch wave data from Open-Meteo Marine API (single location for the area)
+    async function fetchStationData() {
+        // Nearest tide station and nearest water-temp station are often different
+        const stations = await fetchStationList();
+        const [tides, waterTemp] = await Promise.all([
+            fetchFromNearestStation(
+                getNearestStations(stations, 'tides', settings.latitude, settings.longitude),
+                fetchTides
+            ),
+            fetchFromNearestStation(
+                getNearestStations(stations, 'waterTemp', settings.latitude, settings.longitude),
+                fetchWaterTemp
+            )
+        ]);
+        return { tides, waterTemp };
+    }
+
+    async function fetchMarineData(lat, lng) {
+        // Wave data for a single location
         try {
-            const response = await fetch(API.marineWaves(CONFIG.latitude, CONFIG.longitude));
-            if (!response.ok) throw new Error('Marine API failed');
-            return await response.json();
+            return await getProvider('marine').fetch(lat, lng);
         } catch (error) {
             console.error('Marine data fetch error:', error);
             return null;
         }
     }
 
+    async function fetchBuoy(buoy) {
+        // Observations plus the marine model at the buoy itself, so the two
+        // can be compared like for like. Buoys go quiet for weeks at a time,
+        // so old observations count as none.
+        try {
+            const [data, marineData] = await Promise.all([
+                getProvider('buoys').fetch(buoy.id),
+                fetchMarineData(buoy.lat, buoy.lng)
+            ]);
+            const latest = data.observations.find(o => o.waveHeight !== null);
+            if (!latest || now() - latest.time > CONFIG.maxDataAgeHours.buoys * HOUR_MS) {
+                throw new Error(`No recent wave report from buoy ${buoy.id}`);
+            }
+            return { buoy, ...data, latest, marineData };
+        } catch (error) {
+            console.error('Buoy fetch error:', error);
+            return null;
+        }
+    }
+
+    async function fetchBuoyData() {
+        const buoys = await fetchStationList(CONFIG.buoyListUrl);
+        const nearest = getNearestStations(buoys, 'waves', settings.latitude, settings.longitude);
+        const results = await Promise.all(nearest.slice(0, CONFIG.buoyCount).map(fetchBuoy));
+        return results.filter(Boolean);
+    }
+
+    async function fetchSpotData(spot) {
+        // Marine and wind data at the spot's own coordinates - nearby beaches
+        // regularly differ by a foot or more on the same swell
+        const [marineData, weather] = await Promise.all([
+            fetchMarineData(spot.lat, spot.lng),
+            fetchWeather(spot.lat, spot.lng).catch(() => null)
+        ]);
+        return { spot, marineData, weather };
+    }
+
     // ============================================
-    // Scoring Functions
+    // Buoy Nowcast
     // ============================================
-    function calculateSurfScore(marineData, weatherData) {
-        // Uses Open-Meteo Marine API data
-        if (!marineData || !marineData.hourly) {
-            return { score: 0, details: 'No data available' };
+    function formatZonedHour(time) {
+        // UTC ms -> home-local "YYYY-MM-DDTHH:00", the forecasts' hourly.time format
+        const parts = {};
+        for (const part of new Intl.DateTimeFormat('en-US', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23',
+            timeZone: settings.timezone
+        }).formatToParts(new Date(time))) {
+            parts[part.type] = part.value;
         }
+        return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+    }
 
-        const tomorrow = getTomorrowDate();
-        const times = marineData.hourly.time;
-        const waveHeights = marineData.hourly.wave_height || [];
-        const wavePeriods = marineData.hourly.wave_period || [];
-        const waveDirections = marineData.hourly.wave_direction || [];
-        const swellHeights = marineData.hourly.swell_wave_height || [];
-        const swellPeriods = marineData.hourly.swell_wave_period || [];
-        const swellDirections = marineData.hourly.swell_wave_direction || [];
-
-        // Find morning index for tomorrow
-        let morningIndex = -1;
-        for (let i = 0; i < times.length; i++) {
-            const time = new Date(times[i]);
-            const dateStr = formatLocalDate(time);
-            const hour = time.getHours();
+    function compareBuoy(buoyData) {
+        // Recent wave heights against the model at the same hours: how far off
+        // the model runs (bias, ft) and whether its swell shows up at the buoy
+        // early or late (lagHours, + = early - the buoy already has what the
+        // model expects that many hours from now)
+        const { observations, latest, marineData } = buoyData;
+        const model = marineData ? marineData.hourly : null;
+        if (!model) return null;
+
+        // Only hours the model covers at every lag, so each lag is scored on
+        // the same observations
+        const maxLag = CONFIG.buoyMaxLagHours;
+        const hasModel = index => model.waveHeight[index] !== undefined && model.waveHeight[index] !== null;
+        const pairs = [];
+        for (const o of observations) {
+            if (o.waveHeight === null || latest.time - o.time > CONFIG.buoyWindowHours * HOUR_MS) continue;
+            const index = model.time.indexOf(formatZonedHour(o.time + HOUR_MS / 2));   // Nearest hour
+            if (index >= 0 && hasModel(index - maxLag) && hasModel(index + maxLag)) {
+                pairs.push({ observed: o.waveHeight, index });
+            }
+        }
+        const meanError = (lag, signed = false) => {
+            const errors = pairs.map(p => p.observed - model.waveHeight[p.index + lag]);
+            return errors.reduce((sum, e) => sum + (signed ? e : Math.abs(e)), 0) / errors.length;
+        };
+        const latestIndex = model.time.indexOf(formatZonedHour(latest.time + HOUR_MS / 2));
+        if (pairs.length === 0 || !hasModel(latestIndex)) return null;
+
+        // Closest lag wins ties, and only a clearly better fit moves the swell
+        const baseError = meanError(0);
+        let lagHours = 0;
+        let bestError = baseError;
+        for (let hours = 1; hours <= maxLag; hours++) {
+            for (const lag of [hours, -hours]) {
+                const error = meanError(lag);
+                if (error < bestError) {
+                    bestError = error;
+                    lagHours = lag;
+                }
+            }
+        }
+        if (bestError > baseError * (1 - CONFIG.buoyMinLagImprovement)) lagHours = 0;
+
+        return {
+            modelHeight: model.waveHeight[latestIndex],
+            modelPeriod: model.swellPeriod[latestIndex] ?? model.wavePeriod[latestIndex],   // Closest to the buoy's dominant period
+            bias: meanError(0, true),
+            lagHours
+        };
+    }
+
+    function getBuoyNowcastHours(buoys) {
+        // Buoys that agree on a timing error shift the swell; a buoy seeing the
+        // model on time pulls the average back toward zero
+        const lags = buoys.filter(b => b.comparison).map(b => b.comparison.lagHours);
+        if (lags.length === 0) return 0;
+        return Math.round(lags.reduce((sum, lag) => sum + lag, 0) / lags.length);
+    }
+
+    function shiftMarineData(marineData, lagHours) {
+        // Marine forecast with every value moved lagHours earlier (swell
+        // arriving early) or later, on the same time axis
+        if (!marineData || !lagHours) return marineData;
+        const hourly = { time: marineData.hourly.time };
+        for (const [field, values] of Object.entries(marineData.hourly)) {
+            if (field === 'time') continue;
+            hourly[field] = values.map((_, i) => values[Math.min(values.length - 1, Math.max(0, i + lagHours))]);
+        }
+        return { ...marineData, hourly };
+    }
+
+    function describeNowcast(lagHours) {
+        const hours = Math.abs(lagHours);
+        return `Swell running ${hours} hour${hours === 1 ? '' : 's'} ${lagHours > 0 ? 'early' : 'late'} at the buoys - tomorrow's surf shifted to match`;
+    }
+
+    // ============================================
+    // Cycling Routes
+    // ============================================
+    // Typical rider and road bike for the extra-effort estimate
+    const RIDER = { massKg: 85, rollingResistance: 0.005, dragArea: 0.4, airDensity: 1.2 };
+    const MPH_TO_MS = 0.44704;
+
+    function parseGpx(text, fallbackName) {
+        // Track points (or route points) from a GPX file, thinned to an even spacing
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Not a valid GPX file');
+        let nodes = Array.from(doc.getElementsByTagName('trkpt'));
+        if (nodes.length === 0) nodes = Array.from(doc.getElementsByTagName('rtept'));
+        const points = nodes
+            .map(node => [parseFloat(node.getAttribute('lat')), parseFloat(node.getAttribute('lon'))])
+            .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng));
+        if (points.length < 2) throw new Error('GPX file has no track or route points');
+        const nameNode = doc.querySelector('trk > name, rte > name, metadata > name');
+        const name = (nameNode && nameNode.textContent.trim()) || fallbackName;
+        return { name, points: thinRoutePoints(points) };
+    }
+
+    function thinRoutePoints(points) {
+        // Drop points closer than routePointSpacingMiles to the last one kept,
+        // always keeping the finish
+        const kept = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const last = kept[kept.length - 1];
+            const isFinish = i === points.length - 1;
+            const distance = getDistanceMiles(last[0], last[1], points[i][0], points[i][1]);
+            if (distance >= CONFIG.routePointSpacingMiles || (isFinish && distance > 0)) {
+                kept.push([+points[i][0].toFixed(5), +points[i][1].toFixed(5)]);
+            }
+        }
+        kept[0] = [+kept[0][0].toFixed(5), +kept[0][1].toFixed(5)];
+        return kept;
+    }
+
+    function getRouteDistance(points) {
+        let distance = 0;
+        for (let i = 1; i < points.length; i++) {
+            distance += getDistanceMiles(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+        }
+        return distance;
+    }
+
+    function getDefaultCycleRoute() {
+        // Out-and-back along the endpoints: home, out to the first end, back
+        // past home to the other end, and home again
+        const [endA, endB] = settings.cycleEndpoints;
+        const home = [settings.latitude, settings.longitude];
+        return {
+            name: `${endA.name} – ${endB.name}`,
+            points: [home, [endA.lat, endA.lng], home, [endB.lat, endB.lng], home],
+            labels: [`${endA.name} first`, `${endB.name} first`]
+        };
+    }
+
+    function getRouteDirections(route) {
+        // The route as recorded and reversed, named the way a rider would say it
+        const reversed = route.points.slice().reverse();
+        if (route.labels) {
+            return [{ label: route.labels[0], points: route.points }, { label: route.labels[1], points: reversed }];
+        }
+        const [start, finish] = [route.points[0], route.points[route.points.length - 1]];
+        if (getDistanceMiles(start[0], start[1], finish[0], finish[1]) <= CONFIG.loopCloseMiles) {
+            // Shoelace area on a flat lat/lng plane - positive runs counter-clockwise
+            let area = 0;
+            route.points.forEach(([lat, lng], i) => {
+                const [nextLat, nextLng] = route.points[(i + 1) % route.points.length];
+                area += lng * nextLat - nextLng * lat;
+            });
+            const recorded = area > 0 ? 'counter-clockwise' : 'clockwise';
+            const opposite = area > 0 ? 'clockwise' : 'counter-clockwise';
+            return [{ label: recorded, points: route.points }, { label: opposite, points: reversed }];
+        }
+        return [{ label: 'as recorded', points: route.points }, { label: 'reversed', points: reversed }];
+    }
+
+    function splitRouteLegs(points) {
+        // Consecutive segments grouped into legs. A leg's heading is the
+        // distance-weighted mean of its segment bearings; a new leg starts once
+        // the road swings more than cycleLegTurnDegrees off it, so sharp turns
+        // and long bends both split, if the current leg is long enough.
+        const legs = [];
+        let leg = null;
+        for (let i = 1; i < points.length; i++) {
+            const [lat1, lng1] = points[i - 1];
+            const [lat2, lng2] = points[i];
+            const distance = getDistanceMiles(lat1, lng1, lat2, lng2);
+            if (distance === 0) continue;
+            const bearing = getBearing(lat1, lng1, lat2, lng2);
+            const turn = leg ? Math.abs(angleDifference(bearing, leg.bearing)) : 0;
+            if (!leg || (turn > CONFIG.cycleLegTurnDegrees && leg.distance >= CONFIG.cycleMinLegMiles)) {
+                leg = { distance: 0, segments: [], x: 0, y: 0 };
+                legs.push(leg);
+            }
+            leg.segments.push({ distance, bearing });
+            leg.distance += distance;
+            leg.x += Math.sin(bearing * RAD) * distance;
+            leg.y += Math.cos(bearing * RAD) * distance;
+            leg.bearing = (Math.atan2(leg.x, leg.y) / RAD + 360) % 360;
+        }
+        // A short stretch at the finish folds into the leg before
+        const last = legs[legs.length - 1];
+        if (legs.length > 1 && last.distance < CONFIG.cycleMinLegMiles) {
+            const previous = legs[legs.length - 2];
+            previous.segments.push(...last.segments);
+            previous.distance += last.distance;
+            previous.bearing = (Math.atan2(previous.x + last.x, previous.y + last.y) / RAD + 360) % 360;
+            legs.pop();
+        }
+        return legs.map(({ distance, segments, bearing }) => ({ distance, segments, bearing }));
+    }
+
+    function getWindAt(weather, targetDate, hour) {
+        // Wind at a fractional local hour, blended as vectors so 350° and 10°
+        // average to north; null when the forecast doesn't cover it
+        const { windSpeed, windDirection } = weather.hourly;
+        const base = Math.floor(hour);
+        const i = weather.hourly.time.indexOf(`${targetDate}T${String(base).padStart(2, '0')}:00`);
+        if (i === -1 || windSpeed[i] === null || windDirection[i] === null) return null;
+        const vector = j => [windSpeed[j] * Math.sin(windDirection[j] * RAD), windSpeed[j] * Math.cos(windDirection[j] * RAD)];
+        const [x0, y0] = vector(i);
+        const hasNext = windSpeed[i + 1] != null && windDirection[i + 1] != null;
+        const [x1, y1] = hasNext ? vector(i + 1) : [x0, y0];
+        const f = hour - base;
+        return {
+            speed: interpolateAtHour(weather, 'windSpeed', targetDate, hour),
+            from: (Math.atan2(x0 + (x1 - x0) * f, y0 + (y1 - y0) * f) / RAD + 360) % 360
+        };
+    }
+
+    function getRideEffort(speedMph, headwindMph) {
+        // Extra power to hold speedMph against a headwind component, as a share
+        // of the calm-air power (negative = the wind is helping). Rolling
+        // resistance plus aerodynamic drag on the air speed.
+        const v = speedMph * MPH_TO_MS;
+        const power = airSpeed => RIDER.rollingResistance * RIDER.massKg * 9.81 * v +
+            0.5 * RIDER.airDensity * RIDER.dragArea * airSpeed * Math.abs(airSpeed) * v;
+        return power(v + headwindMph * MPH_TO_MS) / power(v) - 1;
+    }
 
-            if (dateStr === tomorrow && hour >= CONFIG.morningStartHour && hour <= CONFIG.morningEndHour) {
-                morningIndex = i;
-                break;
+    function analyzeRouteDirection(points, weather, targetDate, startHour) {
+        // Head- and crosswind on every segment at the time we expect to ride
+        // it, summed into legs. Effort is distance-weighted extra effort.
+        // Long segments are timed in routePointSpacingMiles steps.
+        const speed = scoring.cycle.rideSpeedMph;
+        let elapsedMiles = 0;
+        const totalMiles = getRouteDistance(points);
+        const legs = splitRouteLegs(points).map(leg => {
+            let headwind = 0;
+            let crosswind = 0;
+            let effort = 0;
+            for (const segment of leg.segments) {
+                const steps = Math.ceil(segment.distance / CONFIG.routePointSpacingMiles);
+                const stepMiles = segment.distance / steps;
+                for (let i = 0; i < steps; i++) {
+                    const hour = startHour + (elapsedMiles + stepMiles / 2) / speed;
+                    const wind = getWindAt(weather, targetDate, hour) || { speed: 0, from: 0 };
+                    const angle = (wind.from - segment.bearing) * RAD;
+                    const head = wind.speed * Math.cos(angle);
+                    headwind += head * stepMiles;
+                    crosswind += Math.abs(wind.speed * Math.sin(angle)) * stepMiles;
+                    effort += getRideEffort(speed, head) * stepMiles;
+                    elapsedMiles += stepMiles;
+                }
             }
+            return {
+                distance: leg.distance,
+                bearing: leg.bearing,
+                cardinal: degreesToCardinal(leg.bearing),
+                headwind: headwind / leg.distance,
+                crosswind: crosswind / leg.distance,
+                effort: effort / leg.distance
+            };
+        });
+        const effort = legs.reduce((sum, leg) => sum + leg.effort * leg.distance, 0) / totalMiles;
+        return {
+            distance: totalMiles,
+            minutes: Math.round(totalMiles / speed * 60),
+            effort,
+            finishEffort: legs[legs.length - 1].effort,
+            start: points[0],
+            legs
+        };
+    }
+
+    function analyzeCycleRoutes(weather, targetDate, startHour) {
+        // Every route in both directions, each route's better direction first,
+        // easiest route first. Directions within cycleEffortTie of each other
+        // go with the easier last leg - tailwind on the way home.
+        const routes = settings.cycleRoutes.length > 0 ? settings.cycleRoutes : [getDefaultCycleRoute()];
+        return routes.map(route => {
+            const directions = getRouteDirections(route).map(direction => ({
+                label: direction.label,
+                ...analyzeRouteDirection(direction.points, weather, targetDate, startHour)
+            }));
+            const [a, b] = directions;
+            const tied = Math.abs(a.effort - b.effort) < CONFIG.cycleEffortTie;
+            const aFirst = tied ? a.finishEffort <= b.finishEffort : a.effort <= b.effort;
+            return {
+                name: route.name,
+                direction: aFirst ? a : b,
+                other: aFirst ? b : a,
+                tied,
+                either: tied && Math.abs(a.finishEffort - b.finishEffort) < CONFIG.cycleEffortTie
+            };
+        }).sort((x, y) => x.direction.effort - y.direction.effort);
+    }
+
+    function describeRoute(route) {
+        // Card line for the recommended route and direction
+        const prefix = settings.cycleRoutes.length > 0 ? `${route.name}: ` : '';
+        if (route.either) return `${prefix}Wind is light or across the route, either direction works`;
+        const label = route.direction.label;
+        const ride = settings.cycleRoutes.length > 0 ? `ride it ${label}` : `Go to ${label}`;
+        if (route.tied) {
+            return route.direction.finishEffort < 0
+                ? `${prefix}${ride}, wind at your back coming home`
+                : `${prefix}${ride}, easier last leg home`;
+        }
+        const saving = Math.round((route.other.effort - route.direction.effort) / (1 + route.other.effort) * 100);
+        return `${prefix}${ride}, ${saving}% less effort than the other way`;
+    }
+
+    function formatLegEffort(leg) {
+        // "2.1 mi NE · 6 mph headwind, 3 mph cross · +24% effort"
+        const head = Math.round(leg.headwind);
+        const wind = head > 0 ? `${head} mph headwind` : head < 0 ? `${-head} mph tailwind` : 'no headwind';
+        const effort = Math.round(leg.effort * 100);
+        return `${leg.distance.toFixed(1)} mi ${leg.cardinal} · ${wind}, ${Math.round(leg.crosswind)} mph cross · ` +
+            `${effort > 0 ? '+' : ''}${effort}% effort`;
+    }
+
+    // ============================================
+    // Scoring Functions
+    // ============================================
+    function calculateSurfScore(marineData, weatherData, targetDate, spot = {}, tides = null) {
+        // Uses Open-Meteo Marine API data - every hour in the morning window is
+        // scored and the best hour is reported
+        if (!marineData || !marineData.hourly) {
+            return { score: null, details: 'No marine data' };
         }
+        const morningIndices = getMorningHourIndices(marineData.hourly.time, targetDate);
 
-        if (morningIndex === -1) {
-            return { score: 0, details: 'No forecast data' };
+        if (morningIndices.length === 0) {
+            return { score: null, details: 'No forecast data' };
         }
 
-        // Get wave data for morning
+        const hours = morningIndices.map(i => scoreSurfHour(marineData, weatherData, i, spot, tides));
+        const best = pickBestHour(hours);
+
+        return {
+            ...best,
+            bestHour: best.hour,
+            peakNote: describeSurfPeak(hours, best),
+            hours
+        };
+    }
+
+    function scoreSurfHour(marineData, weatherData, morningIndex, spot, tides) {
+        const waveHeights = marineData.hourly.waveHeight || [];
+        const wavePeriods = marineData.hourly.wavePeriod || [];
+        const waveDirections = marineData.hourly.waveDirection || [];
+        const swellHeights = marineData.hourly.swellHeight || [];
+        const swellPeriods = marineData.hourly.swellPeriod || [];
+        const swellDirections = marineData.hourly.swellDirection || [];
+        const time = marineData.hourly.time[morningIndex];
+
+        // Get wave data for this hour
         const waveHeight = waveHeights[morningIndex] || 0;
         const swellHeight = swellHeights[morningIndex] || waveHeight;
         const period = swellPeriods[morningIndex] || wavePeriods[morningIndex] || 0;
         const direction = swellDirections[morningIndex] || waveDirections[morningIndex] || 0;
 
+        const c = scoring.surf;
+        const hasOrientation = typeof spot.facing === 'number';
+
+        // Swell from outside the spot's window barely reaches the beach
+        const exposure = getSwellExposure(direction, spot.swellWindow, c.swellFalloffDegrees);
+        const effectiveHeight = waveHeight * exposure;
+
         // Wave height score (in feet)
-        let heightScore;
-        if (waveHeight < 1) heightScore = 1;
-        else if (waveHeight < 2) heightScore = 3;
-        else if (waveHeight < 3) heightScore = 5;
-        else if (waveHeight < 4) heightScore = 7;
-        else if (waveHeight < 5) heightScore = 9;
-        else if (waveHeight < 6) heightScore = 10;
-        else if (waveHeight < 8) heightScore = 8;
-        else heightScore = 6; // Too big
+        const heightScore = scoreFromCurve(c.heightCurve, effectiveHeight);
 
         // Period score
-        let periodScore;
-        if (period < 5) periodScore = 2;
-        else if (period < 7) periodScore = 4;
-        else if (period < 9) periodScore = 6;
-        else if (period < 11) periodScore = 8;
-        else periodScore = 10;
-
-        // Wind score from weather data
+        const periodScore = scoreFromCurve(c.periodCurve, period);
+
+        // Wind score from weather data at the same hour, by its offshore component
+        // relative to the way this beach faces
         let windScore = 5;
+        let windSpeed = null;
+        let windComponent = 0;
         if (weatherData && weatherData.hourly) {
-            const wxIndex = getMorningHourIndex(weatherData.hourly.time, tomorrow);
+            const wxIndex = weatherData.hourly.time.indexOf(time);
             if (wxIndex !== -1) {
-                const windSpeed = weatherData.hourly.wind_speed_10m[wxIndex] || 0;
-                const windDir = weatherData.hourly.wind_direction_10m[wxIndex] || 0;
-
-                // For NJ coast, offshore is W-NW (250-320 degrees)
-                const isOffshore = windDir >= 250 && windDir <= 320;
-                const isLightWind = windSpeed < 8;
-
-                if (isOffshore && isLightWind) windScore = 10;
-                else if (isOffshore) windScore = 8;
-                else if (isLightWind) windScore = 7;
-                else if (windSpeed < 15) windScore = 4;
-                else windScore = 2;
+                windSpeed = weatherData.hourly.windSpeed[wxIndex] || 0;
+                const windDir = weatherData.hourly.windDirection[wxIndex] || 0;
+                windComponent = hasOrientation ? getOffshoreComponent(windDir, spot.facing) : 0;
+                const offshore = Math.max(0, windComponent);
+                const onshore = Math.max(0, -windComponent);
+
+                // Light offshore 10, light cross 7; stronger wind only works offshore
+                if (windSpeed < c.lightWindMph) windScore = 7 + 3 * offshore - onshore;
+                else if (windSpeed < c.moderateWindMph) windScore = 4 + 4 * offshore - onshore;
+                else windScore = 2 + 6 * offshore - onshore;
+                windScore = Math.round(windScore * 10) / 10;
             }
         }
+        const isOffshore = windComponent >= 0.5;
+
+        // Tide against the spot's preference, mid-hour (tide and forecast times are both home-local)
+        const [date, clock] = time.split('T');
+        const { tideScore, tideLevel } = scoreSurfTide(tides, getNaiveTime(date, parseInt(clock, 10) + 0.5), spot.preferredTide);
 
-        // Calculate final score
-        const finalScore = Math.round((heightScore * 0.4) + (periodScore * 0.3) + (windScore * 0.3));
+        // Calculate final score (unrounded value kept for ranking spots and hours)
+        const weights = tideScore !== null ? c.weights : { ...c.weights, tide: 0 };
+        const rawScore = weightedScore({ height: heightScore, period: periodScore, wind: windScore, tide: tideScore }, weights);
+        const finalScore = Math.round(rawScore);
 
         // Build details string
-        const heightStr = `${waveHeight.toFixed(1)}ft`;
+        const heightStr = `${effectiveHeight.toFixed(1)}ft`;
         const periodStr = period > 0 ? `${Math.round(period)}s` : '';
         const dirStr = degreesToCardinal(direction);
+        const exposureStr = exposure < 1 ? ` (${Math.round(exposure * 100)}% exposed)` : '';
+        const windStr = windSpeed !== null && hasOrientation
+            ? `, ${Math.round(windSpeed)} mph ${describeWindComponent(windComponent)}`
+            : '';
+        const tideStr = tideLevel ? `, ${tideLevel} tide` : '';
 
         return {
             score: Math.min(10, Math.max(1, finalScore)),
-            waveHeight: waveHeight,
-            details: `${heightStr} @ ${periodStr} ${dirStr}`,
+            rawScore,
+            hour: new Date(time).getHours(),
+            waveHeight: effectiveHeight,
+            exposure,
+            details: `${heightStr} @ ${periodStr} ${dirStr}${exposureStr}${windStr}${tideStr}`,
             period: period,
             direction: direction,
+            windSpeed,
+            windComponent,
+            isOffshore,
             heightScore,
             periodScore,
-            windScore
+            windScore,
+            tideScore,
+            tideLevel
         };
     }
 
-    function calculatePhotoScore(weather, sunriseData) {
-        const tomorrow = getTomorrowDate();
-        const hourIndex = getMorningHourIndex(weather.hourly.time, tomorrow);
-
-        if (hourIndex === -1) {
-            return { score: 0, details: 'No data', verdict: 'No data available', cloudCover: 0 };
+    function describeSurfPeak(hours, best) {
+        // Explain why the best hour beats the rest of the window
+        const first = hours[0];
+        if (best !== first) {
+            if (best.isOffshore && !first.isOffshore) return 'after the wind goes offshore';
+            if (best.windScore > first.windScore) return 'after the wind drops';
+            if (best.heightScore > first.heightScore || best.periodScore > first.periodScore) return 'as the swell fills in';
+            if (best.tideScore > first.tideScore) return `on the ${best.tideLevel} tide`;
+            return '';
         }
+        const later = hours.slice(1);
+        if (later.some(h => h.isOffshore === false && first.isOffshore)) return 'before the wind turns onshore';
+        if (later.some(h => h.windScore < first.windScore)) return 'before the wind picks up';
+        if (later.some(h => h.heightScore < first.heightScore)) return 'before the swell fades';
+        return '';
+    }
+
+    function rankSurfSpots(spotData, fallbackWeather, targetDate, tides) {
+        // Score every spot with its own marine + wind data, best first
+        const ranked = spotData.map(({ spot, marineData, weather }) => ({
+            spot: spot.name,
+            ...calculateSurfScore(marineData, weather || fallbackWeather, targetDate, spot, tides)
+        }));
+        // Spots without data sink to the bottom
+        ranked.sort((a, b) => (b.rawScore ?? -1) - (a.rawScore ?? -1));
+        return ranked;
+    }
 
-        const cloudCover = weather.hourly.cloud_cover[hourIndex];
-        const humidity = weather.hourly.relative_humidity_2m?.[hourIndex] || 50;
+    function calculatePhotoScore(weather, sunriseData, targetDate) {
+        const morningIndices = getMorningHourIndices(weather.hourly.time, targetDate);
 
-        // Sunrise photo scoring based on total cloud cover (ECMWF model)
-        // Best conditions: 20-60% clouds (some clouds to catch color, but not overcast)
-        // Good: 10-20% or 60-80%
-        // Poor: <10% (clear) or >80% (overcast)
+        if (morningIndices.length === 0) {
+            return { score: null, details: 'No data', verdict: 'No data available', cloudCover: 0 };
+        }
 
-        let score;
-        let verdict;
+        // The only moment that matters for photos is sunrise - interpolate the
+        // hourly forecast to the sunrise minute (start of the window without it)
+        let sunriseHour = new Date(weather.hourly.time[morningIndices[0]]).getHours();
+        let bestTime;
+        if (sunriseData) {
+            const sunrise = new Date(sunriseData.sunrise);
+            sunriseHour = getLocalHours(sunrise);
+            bestTime = formatTime(sunrise);
+        }
+        const atSunrise = variable => interpolateAtHour(weather, variable, targetDate, sunriseHour);
+
+        const cloudCover = atSunrise('cloudCover');
+        const lowCloud = atSunrise('cloudLow');
+        const midCloud = atSunrise('cloudMid');
+        const highCloud = atSunrise('cloudHigh');
+        const humidity = atSunrise('humidity');
+        const visibility = atSunrise('visibility');
+
+        // High and mid cloud is the canvas that lights up; low cloud sits on the
+        // eastern horizon and blocks the sun before it can. 50% cirrus and 50%
+        // stratus read the same as total cover but give opposite sunrises.
+        const c = scoring.photo;
+        const canvas = highCloud === null && midCloud === null
+            ? cloudCover ?? 0                    // Model without cloud layers
+            : Math.max(highCloud ?? 0, midCloud ?? 0);
+        const low = lowCloud ?? 0;
+        const canvasScore = scoreFromCurve(c.canvasCurve, canvas);
+        const horizonScore = scoreFromCurve(c.lowCloudCurve, low);
+        const visibilityScore = visibility !== null ? scoreFromCurve(c.visibilityCurve, visibility) : null;
+        const humidityScore = humidity !== null ? scoreFromCurve(c.humidityCurve, humidity) : null;
+
+        // Models without visibility or humidity just leave those factors out
+        const weights = {
+            ...c.weights,
+            visibility: visibilityScore !== null ? c.weights.visibility : 0,
+            humidity: humidityScore !== null ? c.weights.humidity : 0
+        };
+        const delivery = weightedScore({
+            horizon: horizonScore,
+            visibility: visibilityScore,
+            humidity: humidityScore
+        }, weights);
+        const rawScore = canvasScore * delivery / 10;
+        let score = Math.min(10, Math.max(1, Math.round(rawScore)));
 
-        if (cloudCover >= 20 && cloudCover <= 60) {
-            score = 8 + Math.round((40 - Math.abs(cloudCover - 40)) / 20); // 8-10
-            verdict = 'Good cloud cover for colorful sunrise';
-        } else if (cloudCover >= 10 && cloudCover < 20) {
-            score = 6;
-            verdict = 'Light clouds - some color potential';
-        } else if (cloudCover > 60 && cloudCover <= 80) {
-            score = 5;
-            verdict = 'Heavy clouds - may get some color';
-        } else if (cloudCover < 10) {
-            score = 4;
+        let verdict;
+        if (low >= c.lowDeckCloud) {
+            // A solid low deck hides the sun whatever is above it
+            score = Math.min(score, 2);
+            verdict = 'Low cloud deck - sun likely blocked';
+        } else if (horizonScore <= 4) {
+            verdict = 'Low clouds on the horizon may block the sun';
+        } else if (visibilityScore !== null && visibilityScore <= 4) {
+            verdict = 'Hazy - color will be washed out';
+        } else if (canvasScore >= 8) {
+            verdict = 'High/mid clouds over a clear horizon - could light up';
+        } else if (canvas < c.canvasCurve[0][0]) {
             verdict = 'Clear sky - pretty but no cloud color';
+        } else if (canvasScore <= 5) {
+            verdict = 'Thick clouds overhead - muted color';
         } else {
-            score = 2;
-            verdict = 'Overcast - unlikely to see color';
+            verdict = 'Some clouds to catch color';
         }
 
         return {
             score,
-            cloudCover,
-            humidity,
-            verdict
+            rawScore,
+            cloudCover: Math.round(cloudCover ?? 0),
+            lowCloud: Math.round(low),
+            midCloud: Math.round(midCloud ?? 0),
+            highCloud: Math.round(highCloud ?? 0),
+            visibility: visibility !== null ? Math.round(visibility) : null,
+            humidity: humidity !== null ? Math.round(humidity) : null,
+            canvasScore,
+            horizonScore,
+            visibilityScore,
+            humidityScore,
+            verdict,
+            bestHour: Math.floor(sunriseHour),
+            bestTime
         };
     }
 
@@ -385,16 +1846,60 @@
     // Fishing Score
     // ============================================
 
-    // NJ Shore species calendar: { months (1-indexed), idealWaterTemp [min, max] }
-    const FISH_SPECIES = [
-        { name: 'Striped Bass', months: [3,4,5,6,10,11,12], temp: [50, 65], emoji: '🐟' },
-        { name: 'Bluefish', months: [5,6,7,8,9,10,11], temp: [60, 72], emoji: '🐟' },
-        { name: 'Fluke', months: [4,5,6,7,8,9,10], temp: [55, 70], emoji: '🐟' },
-        { name: 'Weakfish', months: [5,6,7,8,9], temp: [58, 68], emoji: '🐟' },
-        { name: 'Black Drum', months: [4,5,6], temp: [55, 70], emoji: '🥁' },
-        { name: 'Tautog', months: [3,4,5,10,11,12], temp: [50, 60], emoji: '🐟' },
-        { name: 'Kingfish', months: [6,7,8,9,10], temp: [60, 75], emoji: '👑' },
-    ];
+    function formatMonthDay(monthDay) {
+        // "09-25" -> "Sep 25"
+        const [month, day] = monthDay.split('-').map(Number);
+        return new Date(2000, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+
+    function isInSeason(season, monthDay) {
+        // MM-DD strings compare in calendar order; from > to wraps past New Year
+        return season.from <= season.to
+            ? monthDay >= season.from && monthDay <= season.to
+            : monthDay >= season.from || monthDay <= season.to;
+    }
+
+    function getDaysUntil(dateStr, monthDay) {
+        // Days from dateStr forward to the next monthDay (0 = same day)
+        const start = new Date(dateStr + 'T00:00:00');
+        const target = new Date(`${dateStr.slice(0, 4)}-${monthDay}T00:00:00`);
+        if (target < start) target.setFullYear(target.getFullYear() + 1);
+        return Math.round((target - start) / 86400000);
+    }
+
+    function getSpeciesRegulation(species, dateStr) {
+        // Season status on a date: 'unregulated', 'open', 'restricted' (open
+        // with a slot or a one-fish bag) or 'closed', with a card line and
+        // whether the season closes within regulationWarnDays
+        if (!species.seasons || species.seasons.length === 0) {
+            return { status: 'unregulated', text: 'No size or bag limit' };
+        }
+        const monthDay = dateStr.slice(5);
+        const season = species.seasons.find(s => isInSeason(s, monthDay));
+        if (!season) {
+            const reopens = species.seasons
+                .map(s => ({ from: s.from, days: getDaysUntil(dateStr, s.from) }))
+                .sort((a, b) => a.days - b.days)[0];
+            return { status: 'closed', text: `Closed until ${formatMonthDay(reopens.from)}` };
+        }
+
+        const size = season.maxSize
+            ? `${season.minSize || 0}-${season.maxSize}in slot`
+            : season.minSize ? `${season.minSize}in min` : 'no size limit';
+        let text = `${season.bag} fish, ${size}`;
+        // The next season may pick up the day after this one ends - only warn
+        // when the day after is actually closed
+        const closeDays = getDaysUntil(dateStr, season.to);
+        const dayAfter = new Date(`${dateStr.slice(0, 4)}-${season.to}T00:00:00`);
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        const reopensNextDay = species.seasons.some(s => isInSeason(s, formatLocalDate(dayAfter).slice(5)));
+        const closingSoon = !reopensNextDay && closeDays <= CONFIG.regulationWarnDays;
+        if (closingSoon) {
+            text += closeDays === 0 ? ' · last day open' : ` · closes after ${formatMonthDay(season.to)}`;
+        }
+        const restricted = season.bag <= 1 || Boolean(season.maxSize);
+        return { status: restricted ? 'restricted' : 'open', season, text, closingSoon };
+    }
 
     function getMoonPhase(date) {
         // Calculate moon phase (0 = new moon, 0.5 = full moon)
@@ -417,284 +1922,1053 @@
         return 'Waning Crescent';
     }
 
-    function calculateFishScore(weather, noaaTides, waterTempData) {
-        const tomorrow = getTomorrowDate();
-        const tomorrowDate = new Date(tomorrow + 'T00:00:00');
-        const month = tomorrowDate.getMonth() + 1; // 1-indexed
+    // ============================================
+    // Moon Position & Solunar Periods
+    // ============================================
+    // Low-precision lunar ephemeris (good to a few arc-minutes) - plenty for
+    // rise, set and transit times to the minute or two solunar tables quote
+    const RAD = Math.PI / 180;
+    const MOON_RISE_ALTITUDE = 0.125 * RAD;     // Parallax, refraction and semi-diameter combined
+    const moonTimesCache = {};
+
+    function getMoonPosition(time, lat, lng) {
+        // Geometric altitude and local hour angle (-PI..PI) of the moon at a UTC instant
+        const d = time / 86400000 - 10957.5;           // Days since J2000.0
+        const L = RAD * (218.316 + 13.176396 * d);     // Mean longitude
+        const M = RAD * (134.963 + 13.064993 * d);     // Mean anomaly
+        const F = RAD * (93.272 + 13.229350 * d);      // Mean distance from ascending node
+        const lon = L + RAD * 6.289 * Math.sin(M);
+        const eclipticLat = RAD * 5.128 * Math.sin(F);
+        const e = RAD * 23.4397;                       // Obliquity of the ecliptic
+
+        const ra = Math.atan2(Math.sin(lon) * Math.cos(e) - Math.tan(eclipticLat) * Math.sin(e), Math.cos(lon));
+        const dec = Math.asin(Math.sin(eclipticLat) * Math.cos(e) + Math.cos(eclipticLat) * Math.sin(e) * Math.sin(lon));
+        const siderealTime = RAD * (280.16 + 360.9856235 * d) + RAD * lng;
+        const hourAngle = ((siderealTime - ra + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) - Math.PI;
+        const phi = RAD * lat;
+        const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+        return { altitude, hourAngle };
+    }
+
+    function getZonedDayStart(dateStr) {
+        // UTC instant of midnight at home on a YYYY-MM-DD date
+        const guess = Date.parse(`${dateStr}T00:00:00Z`);
+        const hour = getLocalHours(guess);
+        return guess - (hour > 12 ? hour - 24 : hour) * 60 * 60 * 1000;
+    }
+
+    function getMoonTimes(dateStr, lat, lng) {
+        // Moonrise, moonset, transit (overhead) and anti-transit (underfoot) on
+        // the home-local date, found by stepping through the day; null = no event
+        const key = `${dateStr}|${lat}|${lng}|${settings.timezone}`;
+        if (moonTimesCache[key]) return moonTimesCache[key];
+
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const start = getZonedDayStart(dateStr);
+        const end = getZonedDayStart(formatLocalDate(new Date(year, month - 1, day + 1)));
+        const step = 10 * 60 * 1000;
+        const times = { rise: null, set: null, transit: null, antiTransit: null, dayStart: start, dayEnd: end };
+
+        let prev = getMoonPosition(start, lat, lng);
+        for (let t = start + step; t <= end; t += step) {
+            const cur = getMoonPosition(t, lat, lng);
+            // Linear interpolation to where a value crossing zero hits it
+            const crossing = (a, b) => Math.round(t - step + step * a / (a - b));
+            const a = prev.altitude - MOON_RISE_ALTITUDE;
+            const b = cur.altitude - MOON_RISE_ALTITUDE;
+            if (a < 0 && b >= 0 && times.rise === null) times.rise = crossing(a, b);
+            if (a >= 0 && b < 0 && times.set === null) times.set = crossing(a, b);
+            if (prev.hourAngle < 0 && cur.hourAngle >= 0 && cur.hourAngle < Math.PI / 2 && times.transit === null) {
+                times.transit = crossing(prev.hourAngle, cur.hourAngle);
+            }
+            // Hour angle wraps from +PI to -PI at anti-transit
+            if (prev.hourAngle > Math.PI / 2 && cur.hourAngle < -Math.PI / 2 && times.antiTransit === null) {
+                times.antiTransit = crossing(prev.hourAngle - Math.PI, cur.hourAngle + Math.PI);
+            }
+            prev = cur;
+        }
+
+        moonTimesCache[key] = times;
+        return times;
+    }
+
+    function getSolunarPeriods(moonTimes) {
+        // Classic solunar table: major periods centered on transit and
+        // anti-transit, minor periods on moonrise and moonset
+        const c = scoring.fish;
+        // Home-local fractional hours on the target date (negative / past 24 across midnight)
+        const toDayHours = time => getLocalHours(time) +
+            (time < moonTimes.dayStart ? -24 : time >= moonTimes.dayEnd ? 24 : 0);
+        const periods = [];
+        const addPeriod = (type, center, length) => {
+            if (center === null) return;
+            const halfMs = length / 2 * 60 * 60 * 1000;
+            const start = center - halfMs;
+            const end = center + halfMs;
+            periods.push({ type, start, end, startHour: toDayHours(start), endHour: toDayHours(end) });
+        };
+        addPeriod('major', moonTimes.transit, c.majorPeriodHours);
+        addPeriod('major', moonTimes.antiTransit, c.majorPeriodHours);
+        addPeriod('minor', moonTimes.rise, c.minorPeriodHours);
+        addPeriod('minor', moonTimes.set, c.minorPeriodHours);
+        return periods.sort((a, b) => a.start - b.start);
+    }
+
+    function scoreSolunar(periods, phaseScore, fromHour, toHour) {
+        // Feeding-period overlap with [fromHour, toHour), blended with moon phase.
+        // A period counts fully once it covers the window or the window covers it.
+        let periodScore = 2;
+        let period = null;
+        for (const p of periods) {
+            const overlap = Math.max(0, Math.min(toHour, p.endHour) - Math.max(fromHour, p.startHour));
+            const fraction = overlap / Math.min(toHour - fromHour, p.endHour - p.startHour);
+            const score = 2 + fraction * (p.type === 'major' ? 8 : 6);
+            if (overlap > 0 && score > periodScore) {
+                periodScore = score;
+                period = p.type;
+            }
+        }
+        const phaseWeight = scoring.fish.solunarPhaseWeight;
+        return {
+            solunarScore: Math.round(phaseWeight * phaseScore + (1 - phaseWeight) * periodScore),
+            solunarPeriod: period
+        };
+    }
+
+    // ============================================
+    // Tide Curve & Stage
+    // ============================================
+    // Tide times are station-local, kept on a naive millisecond scale (local
+    // wall clock read as UTC) alongside forecast hours
+    const HOUR_MS = 60 * 60 * 1000;
+
+    function getNaiveTime(dateStr, hour) {
+        // Fractional local hour on a date, on the same naive scale as tide times
+        return Date.parse(`${dateStr}T00:00:00Z`) + hour * HOUR_MS;
+    }
+
+    function formatNaiveTime(time) {
+        // Naive ms -> "6:32 AM"
+        const [hour, minute] = new Date(time).toISOString().slice(11, 16).split(':').map(Number);
+        return formatHour(hour).replace(' ', `:${String(minute).padStart(2, '0')} `);
+    }
+
+    function buildTideCurve(turns) {
+        // Cosine interpolation between hi/lo turns, for sources without a
+        // predicted curve - close to the real shape away from the turns
+        const curve = [];
+        const step = 6 * 60 * 1000;
+        for (let i = 0; i + 1 < turns.length; i++) {
+            const from = turns[i];
+            const to = turns[i + 1];
+            for (let t = from.time; t < to.time; t += step) {
+                const f = (t - from.time) / (to.time - from.time);
+                curve.push({ time: t, height: from.height + (to.height - from.height) * (1 - Math.cos(Math.PI * f)) / 2 });
+            }
+        }
+        return curve;
+    }
+
+    function getTideHeight(curve, time) {
+        // Linear between the 6-minute points either side; null outside the curve
+        let lo = 0;
+        let hi = curve.length - 1;
+        if (curve.length === 0 || time < curve[0].time || time > curve[hi].time) return null;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (curve[mid].time <= time) lo = mid; else hi = mid;
+        }
+        const a = curve[lo];
+        const b = curve[hi];
+        return b.time === a.time ? a.height : a.height + (b.height - a.height) * (time - a.time) / (b.time - a.time);
+    }
+
+    function getTideState(tides, time) {
+        // Where in the tide cycle a moment falls: stage, hours in, height,
+        // rate (ft/hr) and level between the surrounding low and high (0-1)
+        const nextIndex = tides.turns.findIndex(turn => turn.time > time);
+        if (nextIndex <= 0) return null;
+        const prev = tides.turns[nextIndex - 1];
+        const next = tides.turns[nextIndex];
+        const height = getTideHeight(tides.curve, time);
+        const before = getTideHeight(tides.curve, time - HOUR_MS / 2);
+        const after = getTideHeight(tides.curve, time + HOUR_MS / 2);
+        if (height === null || before === null || after === null) return null;
+
+        const low = Math.min(prev.height, next.height);
+        const high = Math.max(prev.height, next.height);
+        return {
+            rising: next.type === 'H',
+            hoursIn: (time - prev.time) / HOUR_MS,
+            height,
+            rate: after - before,
+            level: high > low ? (height - low) / (high - low) : 0.5
+        };
+    }
+
+    function formatOrdinal(n) {
+        const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+        return `${n}${suffix}`;
+    }
+
+    function scoreTideHour(tides, time) {
+        // Fish bite on moving water: stage of the tide plus how fast it's running
+        const tide = tides ? getTideState(tides, time) : null;
+        if (!tide) return { tideScore: 5, tideDetail: 'Check tides' };
+
+        const c = scoring.fish;
+        const stageScore = scoreFromCurve(tide.rising ? c.incomingTideCurve : c.outgoingTideCurve, tide.hoursIn);
+        const rate = Math.abs(tide.rate);
+        const rateScore = scoreFromCurve(c.tideRateCurve, rate);
+        const stage = `${formatOrdinal(Math.floor(tide.hoursIn) + 1)} hour of the ${tide.rising ? 'incoming' : 'outgoing'}`;
+        return {
+            tideScore: Math.round(c.tideStageWeight * stageScore + (1 - c.tideStageWeight) * rateScore),
+            tideDetail: `${stage}, ${rate.toFixed(1)} ft/hr`
+        };
+    }
+
+    const TIDE_PREFERENCE_LEVELS = { low: 0, mid: 0.5, high: 1 };
+
+    function scoreSurfTide(tides, time, preferredTide) {
+        // 10 at the spot's preferred tide, falling off toward the other end;
+        // null = spot works on any tide (or no tide data), so it isn't weighed
+        const center = TIDE_PREFERENCE_LEVELS[preferredTide];
+        const tide = tides && center !== undefined ? getTideState(tides, time) : null;
+        if (!tide) return { tideScore: null, tideLevel: null };
+        const distance = Math.abs(tide.level - center) * (preferredTide === 'mid' ? 2 : 1);
+        return {
+            tideScore: Math.round((10 - 8 * distance) * 10) / 10,
+            tideLevel: tide.level < 1 / 3 ? 'low' : tide.level > 2 / 3 ? 'high' : 'mid'
+        };
+    }
+
+    function renderTideChart(tides, targetDate) {
+        // Tide height across the morning, with the scoring window shaded and turns marked
+        const [fromHour, toHour] = CONFIG.tideChartHours;
+        const start = getNaiveTime(targetDate, fromHour);
+        const end = getNaiveTime(targetDate, toHour);
+        const points = tides.curve.filter(p => p.time >= start && p.time <= end);
+        if (points.length < 2) return '';
+
+        const width = 300;
+        const height = 80;
+        const pad = 12;
+        const heights = points.map(p => p.height);
+        const min = Math.min(...heights);
+        const max = Math.max(...heights);
+        const x = time => pad + (time - start) / (end - start) * (width - 2 * pad);
+        const y = value => height - pad - (max > min ? (value - min) / (max - min) : 0.5) * (height - 2 * pad);
+
+        const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.time).toFixed(1)},${y(p.height).toFixed(1)}`).join(' ');
+        const windowStart = x(getNaiveTime(targetDate, CONFIG.morningStartHour));
+        const windowEnd = x(getNaiveTime(targetDate, CONFIG.morningEndHour + 1));
+        const turns = tides.turns.filter(t => t.time >= start && t.time <= end).map(t => {
+            const label = `${t.type} ${formatNaiveTime(t.time)}`;
+            return `<circle cx="${x(t.time)}" cy="${y(t.height)}" r="3" class="tide-turn"/>
+                <text x="${x(t.time)}" y="${t.type === 'H' ? y(t.height) + 12 : y(t.height) - 6}" class="tide-label">${label}</text>`;
+        }).join('');
+        const ticks = [];
+        for (let hour = fromHour; hour <= toHour; hour += 2) {
+            ticks.push(`<text x="${x(getNaiveTime(targetDate, hour))}" y="${height - 1}" class="tide-axis">${formatHour(hour)}</text>`);
+        }
+
+        return `<svg class="tide-chart-svg" viewBox="0 0 ${width} ${height}">
+            <rect x="${windowStart}" y="0" width="${windowEnd - windowStart}" height="${height - pad}" class="tide-window"/>
+            <path d="${path}" class="tide-line"/>
+            ${turns}
+            ${ticks.join('')}
+        </svg>`;
+    }
+
+    function calculateFishScore(weather, tides, waterTempData, targetDate, sunriseData, marineData) {
+        const targetDay = new Date(targetDate + 'T00:00:00');
+        const month = targetDay.getMonth() + 1; // 1-indexed
 
-        // --- Moon/Solunar Score (25%) ---
-        const moonPhase = getMoonPhase(tomorrowDate);
+        // --- Moon/Solunar Score ---
+        const moonPhase = getMoonPhase(targetDay);
         const moonName = getMoonPhaseName(moonPhase);
         // New moon (0) and full moon (0.5) are best for fishing
         // Distance from nearest peak (0 or 0.5)
         const distFromPeak = Math.min(moonPhase, Math.abs(moonPhase - 0.5), 1 - moonPhase);
         // 0 = at peak (best), 0.25 = quarter moon (worst)
-        let solunarScore = Math.round(10 - (distFromPeak / 0.25) * 8);
-        solunarScore = Math.max(2, Math.min(10, solunarScore));
-
-        // --- Tide Score (25%) ---
-        // Moving water is best - check if morning window has a tide change
-        let tideScore = 5; // default
-        let tideDetail = 'Check tides';
-        if (noaaTides && noaaTides.predictions) {
-            const morningTides = [];
-            for (const pred of noaaTides.predictions) {
-                if (pred.type !== 'H' && pred.type !== 'L') continue;
-                const [dateStr] = pred.t.split(' ');
-                if (dateStr === tomorrow) {
-                    const hour = parseInt(pred.t.split(' ')[1].split(':')[0], 10);
-                    if (hour >= 4 && hour <= 11) {
-                        morningTides.push({ type: pred.type, hour });
-                    }
-                }
-            }
-            // Tide change during fishing window (5-9 AM) = great
-            if (morningTides.some(t => t.hour >= 5 && t.hour <= 9)) {
-                tideScore = 10;
-                tideDetail = 'Tide change during morning - moving water';
-            } else if (morningTides.length > 0) {
-                tideScore = 7;
-                tideDetail = 'Tide change near morning window';
-            } else {
-                tideScore = 4;
-                tideDetail = 'Slack water in morning';
-            }
-        }
+        let phaseScore = Math.round(10 - (distFromPeak / 0.25) * 8);
+        phaseScore = Math.max(2, Math.min(10, phaseScore));
+        // Major/minor feeding periods are scored per hour below
+        const moonTimes = getMoonTimes(targetDate, settings.latitude, settings.longitude);
+        const solunarPeriods = getSolunarPeriods(moonTimes);
+
+        // --- Tide Score ---
+        // Stage and current rate, scored per hour below (mid-hour)
+
+        // --- Barometric Pressure + Wind, scored per morning hour ---
+        const morningIndices = weather && weather.hourly
+            ? getMorningHourIndices(weather.hourly.time, targetDate)
+            : [];
+        const weatherHours = morningIndices.map(i => scoreFishWeatherHour(weather, i));
+
+        // --- Species ---
+        // Every species around this month gets its own forecast from the
+        // shared solunar and pressure scores plus its own tide, water
+        // temperature, light, wind and surf preferences
+        const waterTemp = waterTempData ? waterTempData.temperature : null;
+        const sunriseHour = sunriseData ? getLocalHours(new Date(sunriseData.sunrise)) : null;
+        const conditions = { tides, waterTemp, sunriseHour, marineData, targetDate };
+
+        const baseHours = (weatherHours.length > 0 ? weatherHours : [scoreFishWeatherHour(null, -1)]).map(h => {
+            // Without weather hours, score the whole window at once
+            const solunar = h.hour !== undefined
+                ? scoreSolunar(solunarPeriods, phaseScore, h.hour, h.hour + 1)
+                : scoreSolunar(solunarPeriods, phaseScore, CONFIG.morningStartHour, CONFIG.morningEndHour + 1);
+            const midHour = h.hour !== undefined ? h.hour + 0.5 : (CONFIG.morningStartHour + CONFIG.morningEndHour + 1) / 2;
+            return { ...h, ...solunar, midHour, tideDetail: scoreTideHour(tides, getNaiveTime(targetDate, midHour)).tideDetail };
+        });
+
+        const forecastSpecies = species => {
+            const hours = baseHours.map(h => scoreSpeciesHour(species, h, conditions));
+            const best = pickBestHour(hours);
+            return { ...species, score: best.score, bestHour: best.hour, best, hours };
+        };
+
+        // Open seasons rank ahead of closed ones (catch and release only)
+        const activeSpecies = fishSpecies
+            .filter(s => s.months.includes(month))
+            .map(s => forecastSpecies({ ...s, regulation: getSpeciesRegulation(s, targetDate) }))
+            .sort((a, b) => (a.regulation.status === 'closed') - (b.regulation.status === 'closed') || b.best.rawScore - a.best.rawScore);
+
+        // --- Final Score (the best species to target, at its best hour) ---
+        // Nothing around this month: fish-anything conditions, capped
+        // Closed sorts last, so a closed top species means nothing around is open
+        const top = activeSpecies[0] || forecastSpecies(SLOW_SEASON_SPECIES);
+        const best = top.best;
+        const catchAndRelease = activeSpecies.length > 0 && top.regulation.status === 'closed';
+        let score = best.score;
+        if (activeSpecies.length === 0) score = Math.min(score, scoring.fish.slowSeasonMax);
+        if (catchAndRelease) score = Math.min(score, scoring.fish.closedSeasonMax);
+
+        return {
+            score,
+            rawScore: best.rawScore,
+            bestHour: best.hour,
+            peakNote: describeFishPeak(top.hours, best),
+            hours: weatherHours.length > 0 ? top.hours : [],
+            moonPhase: moonName,
+            moonTimes,
+            solunarPeriods,
+            solunarScore: best.solunarScore,
+            solunarPeriod: best.solunarPeriod,
+            tideScore: best.tideScore,
+            tideDetail: best.tideDetail,
+            pressureScore: best.pressureScore,
+            pressureTrend: best.pressureTrend,
+            windScore: best.windScore,
+            windSpeed: Math.round(best.windSpeed),
+            waterTempScore: best.waterTempScore,
+            lightScore: best.lightScore,
+            surfScore: best.surfScore,
+            waterTemp: waterTemp ? Math.round(waterTemp) : null,
+            waveHeight: marineData ? interpolateAtHour(marineData, 'waveHeight', targetDate, best.midHour) : null,
+            topSpecies: activeSpecies.length > 0 ? top.name : null,
+            catchAndRelease,
+            activeSpecies
+        };
+    }
 
-        // --- Barometric Pressure Score (20%) ---
+    function scoreFishWeatherHour(weather, hourIndex) {
+        // Pressure trend and wind for a single morning hour
         let pressureScore = 5;
         let pressureTrend = 'Unknown';
-        if (weather && weather.hourly && weather.hourly.pressure_msl) {
-            const hourIndex = getMorningHourIndex(weather.hourly.time, tomorrow);
-            if (hourIndex > 5) {
-                const currentPressure = weather.hourly.pressure_msl[hourIndex];
-                const priorPressure = weather.hourly.pressure_msl[hourIndex - 6]; // 6 hours before
-                const change = currentPressure - priorPressure;
-                // Falling pressure = fish feed more actively
-                if (change < -2) { pressureScore = 10; pressureTrend = 'Falling'; }
-                else if (change < -0.5) { pressureScore = 8; pressureTrend = 'Slowly falling'; }
-                else if (change <= 0.5) { pressureScore = 6; pressureTrend = 'Steady'; }
-                else if (change <= 2) { pressureScore = 4; pressureTrend = 'Rising'; }
-                else { pressureScore = 2; pressureTrend = 'Rapidly rising'; }
-            }
-        }
-
-        // --- Wind Score (15%) ---
         let windScore = 5;
         let windSpeed = 0;
-        if (weather && weather.hourly) {
-            const hourIndex = getMorningHourIndex(weather.hourly.time, tomorrow);
-            if (hourIndex !== -1) {
-                windSpeed = weather.hourly.wind_speed_10m[hourIndex] || 0;
-                const windGusts = weather.hourly.wind_gusts_10m?.[hourIndex] || 0;
-                // Light wind best for pier fishing
-                if (windSpeed < 8) windScore = 10;
-                else if (windSpeed < 12) windScore = 7;
-                else if (windSpeed < 18) windScore = 4;
-                else windScore = 2;
-                // Heavy gusts penalize
-                if (windGusts > 30) windScore = Math.min(windScore, 2);
-            }
+        let windGusts = 0;
+        if (hourIndex === -1) {
+            return { hour: undefined, pressureScore, pressureTrend, windScore, windSpeed, windGusts };
         }
 
-        // --- Water Temp / Species Score (15%) ---
-        let waterTemp = null;
-        let speciesScore = 5;
-        const activeSpecies = [];
-
-        // Get current species for this month
-        const inSeasonSpecies = FISH_SPECIES.filter(s => s.months.includes(month));
-
-        if (waterTempData && waterTempData.data && waterTempData.data.length > 0) {
-            waterTemp = parseFloat(waterTempData.data[0].v);
-
-            // Score based on how many species are in their ideal temp range
-            let tempMatches = 0;
-            for (const species of inSeasonSpecies) {
-                const inRange = waterTemp >= species.temp[0] && waterTemp <= species.temp[1];
-                const nearRange = waterTemp >= species.temp[0] - 5 && waterTemp <= species.temp[1] + 5;
-                if (inRange) {
-                    activeSpecies.push({ ...species, status: 'ideal' });
-                    tempMatches += 2;
-                } else if (nearRange) {
-                    activeSpecies.push({ ...species, status: 'possible' });
-                    tempMatches += 1;
-                }
-            }
-            speciesScore = Math.min(10, Math.max(2, Math.round(tempMatches * 1.5)));
-        } else {
-            // No water temp - just list in-season species
-            for (const species of inSeasonSpecies) {
-                activeSpecies.push({ ...species, status: 'in-season' });
-            }
+        const c = scoring.fish;
+
+        // --- Barometric Pressure Score ---
+        if (weather.hourly.pressure && hourIndex > 5) {
+            const currentPressure = weather.hourly.pressure[hourIndex];
+            const priorPressure = weather.hourly.pressure[hourIndex - 6]; // 6 hours before
+            const change = currentPressure - priorPressure;
+            // Falling pressure = fish feed more actively
+            if (change < -c.fastPressureHpa) { pressureScore = 10; pressureTrend = 'Falling'; }
+            else if (change < -c.steadyPressureHpa) { pressureScore = 8; pressureTrend = 'Slowly falling'; }
+            else if (change <= c.steadyPressureHpa) { pressureScore = 6; pressureTrend = 'Steady'; }
+            else if (change <= c.fastPressureHpa) { pressureScore = 4; pressureTrend = 'Rising'; }
+            else { pressureScore = 2; pressureTrend = 'Rapidly rising'; }
         }
 
-        // --- Final Score ---
-        const finalScore = Math.round(
-            (solunarScore * 0.25) +
-            (tideScore * 0.25) +
-            (pressureScore * 0.20) +
-            (windScore * 0.15) +
-            (speciesScore * 0.15)
-        );
+        // --- Wind Score ---
+        windSpeed = weather.hourly.windSpeed[hourIndex] || 0;
+        windGusts = weather.hourly.windGusts?.[hourIndex] || 0;
+        // Light wind best for pier fishing
+        windScore = scoreFromCurve(c.windCurve, windSpeed);
+        // Heavy gusts penalize
+        if (windGusts > c.maxGustMph) windScore = Math.min(windScore, 2);
 
         return {
-            score: Math.min(10, Math.max(1, finalScore)),
-            moonPhase: moonName,
-            solunarScore,
-            tideScore,
-            tideDetail,
+            hour: new Date(weather.hourly.time[hourIndex]).getHours(),
             pressureScore,
             pressureTrend,
             windScore,
-            windSpeed: Math.round(windSpeed),
-            speciesScore,
-            waterTemp: waterTemp ? Math.round(waterTemp) : null,
-            activeSpecies,
+            windSpeed,
+            windGusts
         };
     }
 
-    function calculateCycleScore(weather) {
-        const tomorrow = getTomorrowDate();
-        const hourIndex = getMorningHourIndex(weather.hourly.time, tomorrow);
+    // Stand-in when no species is around - any fish, moving water
+    const SLOW_SEASON_SPECIES = { name: 'Anything', tide: 'moving', light: 'any', maxWindMph: 15, temp: null, surf: null };
+
+    function scoreSpeciesTide(tides, time, preference) {
+        // How well the tide suits a species' preference; null = any tide
+        const tide = tides && preference !== 'any' ? getTideState(tides, time) : null;
+        if (!tide) return null;
+        const c = scoring.fish;
+        const wrongWay = 3;    // Feeds on the other half of the cycle
+        switch (preference) {
+            case 'incoming': return tide.rising ? scoreFromCurve(c.incomingTideCurve, tide.hoursIn) : wrongWay;
+            case 'outgoing': return tide.rising ? wrongWay : scoreFromCurve(c.outgoingTideCurve, tide.hoursIn);
+            case 'slack': return Math.max(2, 12 - scoreFromCurve(c.tideRateCurve, Math.abs(tide.rate)));
+            case 'high': return Math.round(2 + 8 * tide.level);
+            case 'low': return Math.round(10 - 8 * tide.level);
+            default: return scoreTideHour(tides, time).tideScore;     // 'moving'
+        }
+    }
 
-        if (hourIndex === -1) {
-            return { score: 0, details: 'No data', direction: null };
+    function scoreSpeciesWaterTemp(species, waterTemp) {
+        // 10 in the ideal range, down to 4 at 5°F outside it, 2 beyond
+        if (waterTemp === null || !species.temp) return null;
+        const outside = Math.max(species.temp[0] - waterTemp, waterTemp - species.temp[1], 0);
+        return outside > 5 ? 2 : Math.round(10 - outside * 1.2);
+    }
+
+    function scoreSpeciesLight(species, midHour, sunriseHour) {
+        // Low-light feeders want first light; null = any time of day
+        if (species.light !== 'low' || sunriseHour === null) return null;
+        return scoreFromCurve(scoring.fish.lowLightCurve, Math.abs(midHour - sunriseHour));
+    }
+
+    function scoreSpeciesWind(species, h) {
+        // Against the wind the species' technique can handle
+        if (h.hour === undefined) return null;
+        const max = species.maxWindMph;
+        let windScore = h.windSpeed <= max / 2 ? 10 : h.windSpeed <= max ? 7 : h.windSpeed <= max + 5 ? 4 : 2;
+        if (h.windGusts > scoring.fish.maxGustMph) windScore = Math.min(windScore, 2);
+        return windScore;
+    }
+
+    function scoreSpeciesSurf(species, marineData, targetDate, midHour) {
+        // Wave height at the home beach against the species' range, 4 points per foot outside
+        if (!species.surf || !marineData) return null;
+        const height = interpolateAtHour(marineData, 'waveHeight', targetDate, midHour);
+        if (height === null) return null;
+        const outside = Math.max(species.surf[0] - height, height - species.surf[1], 0);
+        return Math.max(2, Math.round(10 - 4 * outside));
+    }
+
+    function scoreSpeciesHour(species, h, conditions) {
+        // One species' score for one morning hour
+        const { tides, waterTemp, sunriseHour, marineData, targetDate } = conditions;
+        const parts = {
+            solunar: h.solunarScore,
+            pressure: h.pressureScore,
+            tide: scoreSpeciesTide(tides, getNaiveTime(targetDate, h.midHour), species.tide),
+            wind: scoreSpeciesWind(species, h),
+            waterTemp: scoreSpeciesWaterTemp(species, waterTemp),
+            light: scoreSpeciesLight(species, h.midHour, sunriseHour),
+            surf: scoreSpeciesSurf(species, marineData, targetDate, h.midHour)
+        };
+        // Factors a species doesn't care about, or without data, drop out of the weighting
+        const weights = Object.fromEntries(Object.entries(scoring.fish.speciesWeights)
+            .filter(([factor]) => parts[factor] !== null && parts[factor] !== undefined));
+        const rawScore = weightedScore(parts, weights);
+        return {
+            ...h,
+            tideScore: parts.tide,
+            windScore: parts.wind,
+            waterTempScore: parts.waterTemp,
+            lightScore: parts.light,
+            surfScore: parts.surf,
+            rawScore,
+            score: Math.min(10, Math.max(1, Math.round(rawScore)))
+        };
+    }
+
+    function describeFishPeak(hours, best) {
+        if (hours.length < 2) return '';
+        const first = hours[0];
+        if (best.solunarPeriod && best.solunarScore > first.solunarScore) {
+            return `in the ${best.solunarPeriod} feeding period`;
+        }
+        if (best !== first) {
+            if (best.tideScore > first.tideScore) return 'as the tide gets moving';
+            if (best.windScore > first.windScore) return 'after the wind drops';
+            if (best.pressureScore > first.pressureScore) return 'as the pressure starts to fall';
+            return '';
+        }
+        if (hours.slice(1).some(h => h.windScore < first.windScore)) return 'before the wind picks up';
+        return '';
+    }
+
+    function calculateCycleScore(weather, targetDate) {
+        const morningIndices = getMorningHourIndices(weather.hourly.time, targetDate);
+
+        if (morningIndices.length === 0) {
+            return { score: null, details: 'No data', direction: null };
         }
 
-        const windSpeed = weather.hourly.wind_speed_10m[hourIndex];
-        const windGusts = weather.hourly.wind_gusts_10m?.[hourIndex] || 0;
-        const windDirection = weather.hourly.wind_direction_10m[hourIndex];
-        const temp = weather.hourly.temperature_2m[hourIndex];
-        const feelsLike = weather.hourly.apparent_temperature?.[hourIndex] || temp;
-        const cloudCover = weather.hourly.cloud_cover?.[hourIndex] || 0;
+        const hours = morningIndices.map(i => scoreCycleHour(weather, i));
+        const best = pickBestHour(hours);
+
+        // Route order and direction for a ride starting at the best hour
+        const routes = analyzeCycleRoutes(weather, targetDate, best.hour);
+        const route = routes[0];
+
+        return {
+            ...best,
+            bestHour: best.hour,
+            peakNote: describeCyclePeak(hours, best),
+            hours,
+            routes,
+            direction: route.either ? 'either' : route.direction.label,
+            directionBearing: route.direction.legs[0].bearing,
+            directionText: describeRoute(route)
+        };
+    }
+
+    function scoreCycleHour(weather, hourIndex) {
+        const windSpeed = weather.hourly.windSpeed[hourIndex];
+        const windGusts = weather.hourly.windGusts?.[hourIndex] || 0;
+        const windDirection = weather.hourly.windDirection[hourIndex];
+        const temp = weather.hourly.temperature[hourIndex];
+        const feelsLike = weather.hourly.feelsLike?.[hourIndex] || temp;
+        const cloudCover = weather.hourly.cloudCover?.[hourIndex] || 0;
+
+        const c = scoring.cycle;
 
-        // Wind speed score (>15 mph is a no-go)
-        let windScore;
-        if (windSpeed < 8) windScore = 10;
-        else if (windSpeed < 12) windScore = 8;
-        else if (windSpeed <= 15) windScore = 5;
-        else windScore = 1; // >15 mph = no go
+        // Wind speed score (above the no-go speed, default 15 mph, is a no-go)
+        let windScore = windSpeed > c.noGoWindMph ? 1 : scoreFromCurve(c.windCurve, windSpeed);
 
-        // Gusts above 26 mph override to no-go
-        if (windGusts > 26) windScore = 1;
+        // Gusts above the no-go gust speed (default 26 mph) override to no-go
+        if (windGusts > c.noGoGustMph) windScore = 1;
 
         // Weather score (based on cloud cover since ECMWF doesn't have weather codes)
         let weatherScore;
-        if (cloudCover <= 30) weatherScore = 10; // Clear to partly cloudy
-        else if (cloudCover <= 70) weatherScore = 7; // Partly cloudy
+        if (cloudCover <= c.clearCloudMax) weatherScore = 10; // Clear to partly cloudy
+        else if (cloudCover <= c.partlyCloudMax) weatherScore = 7; // Partly cloudy
         else weatherScore = 5; // Cloudy but rideable
 
         // Temperature score - use feels-like for cycling comfort
         let tempScore;
-        if (feelsLike >= 55 && feelsLike <= 75) tempScore = 10;
-        else if ((feelsLike >= 45 && feelsLike < 55) || (feelsLike > 75 && feelsLike <= 85)) tempScore = 7;
-        else if (feelsLike >= 35 && feelsLike < 45) tempScore = 4;
+        if (feelsLike >= c.idealFeelsLike[0] && feelsLike <= c.idealFeelsLike[1]) tempScore = 10;
+        else if (feelsLike >= c.okFeelsLike[0] && feelsLike <= c.okFeelsLike[1]) tempScore = 7;
+        else if (feelsLike >= c.coldFeelsLike && feelsLike < c.okFeelsLike[0]) tempScore = 4;
         else tempScore = 2;
 
-        const finalScore = Math.round((windScore * 0.4) + (weatherScore * 0.3) + (tempScore * 0.3));
-
-        // Determine cycling direction
-        // Wind direction is where it comes FROM
-        // North wind (315-45): Ride to AC first, return with wind at back
-        // South wind (135-225): Ride to Longport first, return with wind at back
-        let direction;
-        let directionText;
+        const rawScore = weightedScore({ wind: windScore, weather: weatherScore, temp: tempScore }, c.weights);
+        const finalScore = Math.round(rawScore);
 
         const normalizedDir = ((windDirection % 360) + 360) % 360;
 
-        if ((normalizedDir >= 315 || normalizedDir <= 45)) {
-            // North wind - go north first (AC)
-            direction = 'ac';
-            directionText = 'Go to Atlantic City first, wind at your back coming home';
-        } else if (normalizedDir >= 135 && normalizedDir <= 225) {
-            // South wind - go south first (Longport)
-            direction = 'longport';
-            directionText = 'Go to Longport first, wind at your back coming home';
-        } else {
-            // East or West - either way
-            direction = 'either';
-            directionText = 'Wind is cross-shore, either direction works';
-        }
-
         return {
             score: Math.min(10, Math.max(1, finalScore)),
+            rawScore,
+            hour: new Date(weather.hourly.time[hourIndex]).getHours(),
+            windScore,
+            weatherScore,
+            tempScore,
             windSpeed: Math.round(windSpeed),
             windGusts: Math.round(windGusts),
             windDirection: normalizedDir,
             windCardinal: degreesToCardinal(normalizedDir),
             temp: Math.round(temp),
             feelsLike: Math.round(feelsLike),
-            direction,
-            directionText
+            cloudCover: Math.round(cloudCover)
         };
     }
 
-    function getRecommendation(scores, surfScoreData, fishData, cycleData, weatherCondition) {
-        const { surf, fish, photo, cycle } = scores;
-
-        // Find best activity
-        const activities = [
-            { name: 'surf', score: surf, label: 'GO SURF' },
-            { name: 'fish', score: fish, label: 'GO FISHING' },
-            { name: 'photo', score: photo, label: 'SUNRISE PHOTOS' },
-            { name: 'cycle', score: cycle, label: 'GO CYCLING' }
-        ];
-
-        activities.sort((a, b) => b.score - a.score);
-        const best = activities[0];
-        const runnerUp = activities[1];
-
-        // Build detail for best activity
-        function getDetail(activity) {
-            if (activity.name === 'surf' && surfScoreData) return surfScoreData.details;
-            if (activity.name === 'fish' && fishData) {
-                const topSpecies = fishData.activeSpecies.filter(s => s.status === 'ideal').map(s => s.name);
-                return topSpecies.length > 0 ? topSpecies.join(', ') + ' in range' : fishData.tideDetail;
-            }
-            if (activity.name === 'cycle' && cycleData.directionText) return cycleData.directionText;
-            if (activity.name === 'photo') return 'Arrive 20 min before sunrise';
+    function describeCyclePeak(hours, best) {
+        const first = hours[0];
+        if (best !== first) {
+            if (best.windScore > first.windScore) return 'after the wind eases';
+            if (best.tempScore > first.tempScore) return 'once it warms up';
             return '';
         }
+        if (hours.slice(1).some(h => h.windSpeed > first.windSpeed + 3)) return 'before the wind picks up';
+        return '';
+    }
 
-        // Bad weather or all scores low = gym day
-        const isBadWeather = weatherCondition && weatherCondition.isBadWeather;
-        if (best.score < 4 || (isBadWeather && best.score < 6)) {
-            let gymDetail = weatherCondition ? weatherCondition.condition : 'Poor conditions';
-            if (weatherCondition && weatherCondition.feelsLike !== null) {
-                gymDetail += ` - Feels like ${weatherCondition.feelsLike}°F`;
-            }
-            return {
-                activity: 'HIT THE GYM',
-                detail: gymDetail,
-                icon: '&#127947;',  // kettlebell/weight lifter
-                runnerUp: best.score >= 3 ? `Or: ${best.label} (${best.score}/10)` : null
-            };
-        }
+    // ============================================
+    // Paddle, Kite & Beach Run Scores
+    // ============================================
+    function getNearestSpot(spots) {
+        // Surf spot closest to home - stands in for "the beach"
+        const distance = s => getDistanceMiles(s.spot.lat, s.spot.lng, settings.latitude, settings.longitude);
+        return spots.length > 0 ? spots.reduce((a, b) => (distance(b) < distance(a) ? b : a)) : null;
+    }
 
-        const icons = {
-            surf: '&#127940;',
-            fish: '&#127907;',
-            photo: '&#128247;',
-            cycle: '&#128690;'
-        };
+    function getFeelsLike(weather, hourIndex) {
+        const temp = weather.hourly.temperature[hourIndex];
+        return weather.hourly.feelsLike?.[hourIndex] ?? temp;
+    }
 
-        let detail = getDetail(best);
+    function calculatePaddleScore(weather, tides, targetDate) {
+        // SUP or kayak on the back bay - flat water means light wind
+        const morningIndices = getMorningHourIndices(weather.hourly.time, targetDate);
+        if (morningIndices.length === 0) return { score: null, details: 'No data' };
+
+        const hours = morningIndices.map(i => scorePaddleHour(weather, tides, i, targetDate));
+        const best = pickBestHour(hours);
+        return { ...best, bestHour: best.hour, peakNote: describePaddlePeak(hours, best), hours };
+    }
+
+    function scorePaddleHour(weather, tides, hourIndex, targetDate) {
+        const c = scoring.paddle;
+        const windSpeed = weather.hourly.windSpeed[hourIndex] || 0;
+        const windGusts = weather.hourly.windGusts?.[hourIndex] || 0;
+        const feelsLike = getFeelsLike(weather, hourIndex);
+        const hour = new Date(weather.hourly.time[hourIndex]).getHours();
+
+        // Current from the tide rate mid-hour; without tides it drops out
+        const tide = tides ? getTideState(tides, getNaiveTime(targetDate, hour + 0.5)) : null;
+        const rate = tide ? Math.abs(tide.rate) : null;
+
+        const windScore = scoreFromCurve(c.windCurve, windSpeed);
+        const currentScore = rate !== null ? scoreFromCurve(c.currentCurve, rate) : null;
+        const tempScore = scoreFromCurve(c.tempCurve, feelsLike);
+        const weights = currentScore !== null ? c.weights : { ...c.weights, current: 0 };
+        const comfort = weightedScore({ current: currentScore, temp: tempScore }, weights);
+        let rawScore = windScore * comfort / 10;
+        // A gusty morning can flip a board or swamp a kayak, however light the average
+        if (windGusts > c.maxGustMph) rawScore = Math.min(rawScore, 2);
+
+        return {
+            score: Math.min(10, Math.max(1, Math.round(rawScore))),
+            rawScore,
+            hour,
+            windScore,
+            currentScore,
+            tempScore,
+            windSpeed: Math.round(windSpeed),
+            windGusts: Math.round(windGusts),
+            windCardinal: degreesToCardinal(weather.hourly.windDirection[hourIndex] || 0),
+            feelsLike: Math.round(feelsLike),
+            tideRate: rate,
+            tideRising: tide ? tide.rising : null
+        };
+    }
+
+    function describePaddlePeak(hours, best) {
+        const first = hours[0];
+        if (best !== first) {
+            if (best.windScore > first.windScore) return 'after the wind drops';
+            if (best.currentScore > first.currentScore) return 'as the current slackens';
+            if (best.tempScore > first.tempScore) return 'once it warms up';
+            return '';
+        }
+        if (hours.slice(1).some(h => h.windScore < first.windScore)) return 'before the wind picks up';
+        if (hours.slice(1).some(h => h.currentScore < first.currentScore)) return 'before the tide gets running';
+        return '';
+    }
+
+    function calculateKiteScore(weather, spot, targetDate) {
+        // Kiteboarding off the beach nearest home, judged by the way it faces
+        const morningIndices = getMorningHourIndices(weather.hourly.time, targetDate);
+        if (morningIndices.length === 0) return { score: null, details: 'No data' };
+
+        const hours = morningIndices.map(i => scoreKiteHour(weather, i, spot));
+        const best = pickBestHour(hours);
+        return { ...best, spot: spot.name, bestHour: best.hour, peakNote: describeKitePeak(hours, best), hours };
+    }
+
+    function scoreKiteHour(weather, hourIndex, spot) {
+        const c = scoring.kite;
+        const windSpeed = weather.hourly.windSpeed[hourIndex] || 0;
+        const windGusts = Math.max(windSpeed, weather.hourly.windGusts?.[hourIndex] || 0);
+        const windDirection = (((weather.hourly.windDirection[hourIndex] || 0) % 360) + 360) % 360;
+        const component = typeof spot.facing === 'number' ? getOffshoreComponent(windDirection, spot.facing) : 0;
+
+        const windScore = scoreFromCurve(c.windCurve, windSpeed);
+        const directionScore = scoreFromCurve(c.directionCurve, component);
+        const gustScore = scoreFromCurve(c.gustCurve, windGusts - windSpeed);
+        const delivery = weightedScore({ direction: directionScore, gust: gustScore }, c.weights);
+        const isOffshore = component > c.maxOffshore;
+        // Offshore ranks below any other hour, however light the wind
+        const rawScore = isOffshore ? 0 : windScore * delivery / 10;
+
+        return {
+            score: Math.min(10, Math.max(1, Math.round(rawScore))),
+            rawScore,
+            hour: new Date(weather.hourly.time[hourIndex]).getHours(),
+            windScore,
+            directionScore,
+            gustScore,
+            windSpeed: Math.round(windSpeed),
+            windGusts: Math.round(windGusts),
+            windDirection,
+            windCardinal: degreesToCardinal(windDirection),
+            windComponent: component,
+            isOffshore,
+            details: `${Math.round(windSpeed)} mph ${describeWindComponent(component)}` +
+                (windGusts - windSpeed >= 1 ? `, gusts ${Math.round(windGusts)}` : '')
+        };
+    }
+
+    function describeKitePeak(hours, best) {
+        const first = hours[0];
+        if (best !== first) {
+            if (first.isOffshore && !best.isOffshore) return 'after the wind swings onshore';
+            if (best.windSpeed > first.windSpeed) return 'as the wind fills in';
+            if (best.windSpeed < first.windSpeed) return 'after the wind eases';
+            if (best.gustScore > first.gustScore) return 'as the wind steadies';
+            return '';
+        }
+        const later = hours.slice(1);
+        if (later.some(h => h.isOffshore)) return 'before the wind goes offshore';
+        if (later.some(h => h.windSpeed < first.windSpeed - 3)) return 'before the wind dies';
+        return '';
+    }
+
+    function calculateRunScore(weather, tides, targetDate) {
+        // Beach run - firm sand near low tide, mild air
+        const morningIndices = getMorningHourIndices(weather.hourly.time, targetDate);
+        if (morningIndices.length === 0) return { score: null, details: 'No data' };
+
+        const hours = morningIndices.map(i => scoreRunHour(weather, tides, i, targetDate));
+        const best = pickBestHour(hours);
+        return { ...best, bestHour: best.hour, peakNote: describeRunPeak(hours, best), hours };
+    }
+
+    function scoreRunHour(weather, tides, hourIndex, targetDate) {
+        const c = scoring.run;
+        const windSpeed = weather.hourly.windSpeed[hourIndex] || 0;
+        const temp = weather.hourly.temperature[hourIndex];
+        const feelsLike = getFeelsLike(weather, hourIndex);
+        const hour = new Date(weather.hourly.time[hourIndex]).getHours();
+
+        const tide = tides ? getTideState(tides, getNaiveTime(targetDate, hour + 0.5)) : null;
+        const tideScore = tide ? scoreFromCurve(c.tideCurve, tide.level) : null;
+        const tempScore = scoreFromCurve(c.tempCurve, feelsLike);
+        const windScore = scoreFromCurve(c.windCurve, windSpeed);
+        const weights = tideScore !== null ? c.weights : { ...c.weights, tide: 0 };
+        const rawScore = weightedScore({ tide: tideScore, temp: tempScore, wind: windScore }, weights);
+
+        return {
+            score: Math.min(10, Math.max(1, Math.round(rawScore))),
+            rawScore,
+            hour,
+            tideScore,
+            tempScore,
+            windScore,
+            tideLevel: tide ? (tide.level < 1 / 3 ? 'low' : tide.level > 2 / 3 ? 'high' : 'mid') : null,
+            tideRising: tide ? tide.rising : null,
+            temp: Math.round(temp),
+            feelsLike: Math.round(feelsLike),
+            windSpeed: Math.round(windSpeed),
+            windCardinal: degreesToCardinal(weather.hourly.windDirection[hourIndex] || 0)
+        };
+    }
+
+    function describeRunPeak(hours, best) {
+        const first = hours[0];
+        if (best !== first) {
+            if (best.tideScore > first.tideScore) return 'as the tide drops';
+            if (best.tempScore > first.tempScore) return 'once it warms up';
+            if (best.windScore > first.windScore) return 'after the wind drops';
+            return '';
+        }
+        if (hours.slice(1).some(h => h.tideScore < first.tideScore)) return 'before the tide comes in';
+        if (hours.slice(1).some(h => h.tempScore < first.tempScore)) return 'before it heats up';
+        return '';
+    }
+
+    function getRecommendation(scores, data, weatherCondition, confidence = {}) {
+        // Find best activity - incomplete scores (null) can't be ranked honestly
+        const activities = Object.entries(ACTIVITIES)
+            .map(([name, activity]) => ({ name, score: scores[name], label: activity.label }))
+            .filter(activity => activity.score !== null)
+            .map(activity => ({ ...activity, confidence: confidence[activity.name] || { level: null, models: [] } }));
+
+        if (activities.length === 0) {
+            return {
+                activity: 'NO FORECAST',
+                detail: 'Not enough data to score any activity',
+                icon: '&#9888;',
+                runnerUp: null
+            };
+        }
+
+        // Prefer confident calls - a low-confidence score ranks as if it were lower
+        const rankScore = a => a.score - (a.confidence.level === 'low' ? CONFIG.lowConfidencePenalty : 0);
+        activities.sort((a, b) => rankScore(b) - rankScore(a));
+        const best = activities[0];
+        const runnerUp = activities[1];
+
+        // Close morning: some models say go, others say stay home
+        const modelScores = best.confidence.models.map(m => m.score);
+        if (best.confidence.level === 'low' && Math.min(...modelScores) < 4 && Math.max(...modelScores) >= 6) {
+            const safer = activities.find(a => a !== best && a.confidence.level !== 'low' && a.score >= 5);
+            return {
+                activity: 'MODELS DISAGREE',
+                detail: `${best.label}? ${formatModelScores(best.confidence.models)} - check again in the morning`,
+                icon: '&#129300;',  // thinking face
+                runnerUp: safer ? `Safer bet: ${safer.label} (${safer.score}/10)` : null
+            };
+        }
+
+        // Bad weather or all scores low = gym day
+        const isBadWeather = weatherCondition && weatherCondition.isBadWeather;
+        if (best.score < 4 || (isBadWeather && best.score < 6)) {
+            let gymDetail = weatherCondition ? weatherCondition.condition : 'Poor conditions';
+            if (weatherCondition && weatherCondition.feelsLike !== null) {
+                gymDetail += ` - Feels like ${weatherCondition.feelsLike}°F`;
+            }
+            return {
+                activity: 'HIT THE GYM',
+                detail: gymDetail,
+                icon: '&#127947;',  // kettlebell/weight lifter
+                runnerUp: best.score >= 3 ? `Or: ${best.label} (${best.score}/10)` : null
+            };
+        }
+
+        const detail = ACTIVITIES[best.name].getDetail(data[best.name]);
 
         // Runner-up suggestion if close in score
         let runnerUpText = null;
-        if (runnerUp.score >= 5 && (best.score - runnerUp.score) <= 3) {
-            runnerUpText = `Also good: ${runnerUp.label} (${runnerUp.score}/10)`;
+        if (runnerUp && runnerUp.score >= 5 && (best.score - runnerUp.score) <= 3) {
+            const caveat = runnerUp.confidence.level === 'low' ? ', models split' : '';
+            runnerUpText = `Also good: ${runnerUp.label} (${runnerUp.score}/10${caveat})`;
         }
 
         return {
+            name: best.name,
             activity: best.label,
             detail,
-            icon: icons[best.name],
+            icon: ACTIVITIES[best.name].icon,
             runnerUp: runnerUpText
         };
     }
 
+    // ============================================
+    // Gear Advisor
+    // ============================================
+    function getGearAdvice(activity, inputs) {
+        // First matching rule per group, in rule order. Rules on an input we
+        // don't have (no water temp, no sunrise) are skipped.
+        const advice = [];
+        const matchedGroups = new Set();
+        for (const rule of gearRules) {
+            if (rule.activity !== activity || matchedGroups.has(rule.group)) continue;
+            const value = inputs[rule.input];
+            if (value === null || value === undefined) continue;
+            if ((rule.min !== null && value < rule.min) || (rule.max !== null && value >= rule.max)) continue;
+            matchedGroups.add(rule.group);
+            advice.push(rule);
+        }
+        return advice;
+    }
+
+    function getDayGear(day) {
+        // Gear for each scored card, from conditions at that activity's best hour
+        const sunrise = state.sunrise[day.date];
+        const sunriseHour = sunrise ? getLocalHours(new Date(sunrise.sunrise)) : null;
+        const weather = state.weather;
+        const atHour = (variable, hour) => (weather && hour !== undefined ? interpolateAtHour(weather, variable, day.date, hour) : null);
+        const shared = hour => ({
+            waterTemp: state.waterTemp ? state.waterTemp.temperature : null,
+            precipitation: day.weatherCondition ? day.weatherCondition.precipitation : null,
+            feelsLike: atHour('feelsLike', hour),
+            beforeSunrise: sunriseHour !== null && hour !== undefined ? Math.round((sunriseHour - hour) * 60) : null
+        });
+
+        const gear = {};
+        for (const [name, activity] of Object.entries(ACTIVITIES)) {
+            const data = day.data[name];
+            if (!activity.gear || !hasScore(day, name)) continue;
+            gear[name] = getGearAdvice(name, { ...shared(data.bestHour), ...activity.gear(data) });
+        }
+        return gear;
+    }
+
+    // ============================================
+    // Activity Registry
+    // ============================================
+    // Everything the app knows about an activity, in one place. Adding an
+    // activity takes an entry here, its DEFAULT_SCORING section and a card
+    // in index.html with the usual <name>-card, -score, -confidence,
+    // -missing, -peak, -hours, -models and -explain elements.
+    //   name, label, icon  - settings/journal name, recommendation label, emoji
+    //   color              - line on the forecast trend chart
+    //   inputs             - key inputs (missing = incomplete) and optional ones
+    //   wetPenalty         - points off per wet morning condition
+    //   factors            - sub-scores checked by journal calibration
+    //   score(morning)     - score data for the morning, null score = no forecast
+    //   getDetail(data)    - recommendation detail line
+    //   gear(data)         - gear inputs at the best hour (no gear advice without it)
+    //   location(data)     - { name, lat, lng } for the calendar event (home without it)
+    //   renderCard(data, day) - fills in the card body
+    //   explain(data)      - inputs and factors for "Why this score?"
+    //   whatIf             - WHAT_IF_INPUTS offered as sliders on the card
+    const ACTIVITIES = {
+        surf: {
+            name: 'Surfing',
+            label: 'GO SURF',
+            icon: '&#127940;',
+            color: '#4a90d9',
+            inputs: { key: ['marine', 'wind'], optional: ['tides', 'waterTemp'] },
+            wetPenalty: { Snow: 3 },           // Rain doesn't matter much, you're already wet
+            factors: ['heightScore', 'periodScore', 'windScore'],
+            score: morning => {
+                // Best spot wins, every spot scored with its own marine + wind data
+                const spots = rankSurfSpots(morning.spots, morning.weather, morning.targetDate, state.tides);
+                return spots.length > 0 ? { ...spots[0], spots, nowcastHours: morning.nowcastHours } : null;
+            },
+            getDetail: data => withPeak(data.spot ? `${data.spot}: ${data.details}` : data.details, data),
+            gear: data => ({ windSpeed: data.windSpeed, waveHeight: data.waveHeight }),
+            location: data => getSpotLocation(data.spot),
+            renderCard: updateSurfCard,
+            explain: explainSurf,
+            whatIf: ['waveHeight', 'windSpeed']
+        },
+        fish: {
+            name: 'Fishing',
+            label: 'GO FISHING',
+            icon: '&#127907;',
+            color: '#2ecc71',
+            inputs: { key: ['weather', 'tides'], optional: ['waterTemp', 'marine', 'sunrise'] },
+            wetPenalty: { Snow: 3, Rain: 2, 'Light Rain': 1 },   // Light rain is fine, heavier rain less so
+            factors: ['solunarScore', 'tideScore', 'pressureScore', 'windScore', 'waterTempScore', 'lightScore', 'surfScore'],
+            score: morning => {
+                // Surf at the spot nearest home stands in for the fishing spot
+                const marine = getNearestSpot(morning.spots.filter(s => s.marineData));
+                return calculateFishScore(morning.weather, state.tides, morning.waterTemp, morning.targetDate,
+                    state.sunrise[morning.targetDate], marine && marine.marineData);
+            },
+            getDetail: data => {
+                const top = data.activeSpecies.find(s => s.name === data.topSpecies);
+                if (!top) return withPeak(data.tideDetail, data);
+                const release = data.catchAndRelease ? ', catch and release' : '';
+                return withPeak(`${top.name} on ${top.bait.toLowerCase()}${release}`, data);
+            },
+            gear: data => ({ windSpeed: data.windSpeed, waveHeight: data.waveHeight }),
+            location: () => ({ name: settings.fishingSpot }),
+            renderCard: updateFishCard,
+            explain: explainFish,
+            whatIf: ['windSpeed', 'waterTemp', 'waveHeight', 'precipitation']
+        },
+        photo: {
+            name: 'Sunrise Photos',
+            label: 'SUNRISE PHOTOS',
+            icon: '&#128247;',
+            color: '#f4a261',
+            inputs: { key: ['weather'], optional: ['sunrise'] },
+            wetPenalty: { Snow: 6, Rain: 5, 'Light Rain': 2 },   // Clouds are already scored, but rain kills it
+            factors: ['canvasScore', 'horizonScore', 'visibilityScore', 'humidityScore'],
+            score: morning => calculatePhotoScore(morning.weather, state.sunrise[morning.targetDate], morning.targetDate),
+            // Already carries the sunrise time - no peak
+            getDetail: data => (data.bestTime
+                ? `Arrive ${CONFIG.photoArriveMinutes} min before sunrise (${data.bestTime})`
+                : `Arrive ${CONFIG.photoArriveMinutes} min before sunrise`),
+            renderCard: updatePhotoCard,
+            explain: explainPhoto,
+            whatIf: ['cloudLow', 'cloudHigh', 'precipitation']
+        },
+        cycle: {
+            name: 'Cycling',
+            label: 'GO CYCLING',
+            icon: '&#128690;',
+            color: '#e74c3c',
+            inputs: { key: ['weather'], optional: [] },
+            wetPenalty: { Snow: 6, Rain: 5, 'Light Rain': 2 },   // Most affected by rain and snow
+            factors: ['windScore', 'weatherScore', 'tempScore'],
+            score: morning => calculateCycleScore(morning.weather, morning.targetDate),
+            getDetail: data => withPeak(data.directionText || '', data),
+            gear: data => ({ feelsLike: data.feelsLike, windSpeed: data.windSpeed }),
+            location: data => {
+                // Where the recommended route and direction starts
+                const route = data.routes[0];
+                const [lat, lng] = route.direction.start;
+                return { name: settings.cycleRoutes.length > 0 ? `${route.name} start` : settings.locationName, lat, lng };
+            },
+            renderCard: updateCycleCard,
+            explain: explainCycle,
+            whatIf: ['windSpeed', 'feelsLike', 'precipitation']
+        },
+        paddle: {
+            name: 'Paddling',
+            label: 'GO PADDLE',
+            icon: '&#128758;',
+            color: '#1abc9c',
+            inputs: { key: ['weather'], optional: ['tides'] },
+            wetPenalty: { Snow: 6, Rain: 4, 'Light Rain': 1 },
+            factors: ['windScore', 'currentScore', 'tempScore'],
+            score: morning => calculatePaddleScore(morning.weather, state.tides, morning.targetDate),
+            getDetail: data => withPeak(`Back bay: ${data.windSpeed} mph ${data.windCardinal}`, data),
+            gear: data => ({ feelsLike: data.feelsLike, windSpeed: data.windSpeed }),
+            renderCard: updatePaddleCard,
+            explain: explainPaddle,
+            whatIf: ['windSpeed', 'feelsLike', 'precipitation']
+        },
+        kite: {
+            // Wants the windy mornings that score as gym days for everything else
+            name: 'Kiteboarding',
+            label: 'GO KITING',
+            icon: '&#129665;',
+            color: '#9b59b6',
+            inputs: { key: ['wind'], optional: [] },
+            wetPenalty: { Snow: 4, Rain: 2 },
+            factors: ['windScore', 'directionScore', 'gustScore'],
+            score: morning => {
+                // Off the beach nearest home, in the wind at that beach
+                const beach = getNearestSpot(morning.spots);
+                const weather = (beach && beach.weather) || morning.weather;
+                if (!beach || !weather) return null;
+                return calculateKiteScore(weather, beach.spot, morning.targetDate);
+            },
+            getDetail: data => withPeak(`${data.spot}: ${data.details}`, data),
+            gear: data => ({ windSpeed: data.windSpeed }),
+            location: data => getSpotLocation(data.spot),
+            renderCard: updateKiteCard,
+            explain: explainKite,
+            whatIf: ['windSpeed', 'windDirection']
+        },
+        run: {
+            name: 'Beach Running',
+            label: 'BEACH RUN',
+            icon: '&#127939;',
+            color: '#f1c40f',
+            inputs: { key: ['weather', 'tides'], optional: [] },
+            wetPenalty: { Snow: 5, Rain: 3, 'Light Rain': 1 },
+            factors: ['tideScore', 'tempScore', 'windScore'],
+            score: morning => calculateRunScore(morning.weather, state.tides, morning.targetDate),
+            getDetail: data => withPeak(data.tideLevel ? `On the ${data.tideLevel} tide, feels like ${data.feelsLike}°F` : `Feels like ${data.feelsLike}°F`, data),
+            gear: data => ({ feelsLike: data.feelsLike, windSpeed: data.windSpeed }),
+            renderCard: updateRunCard,
+            explain: explainRun,
+            whatIf: ['feelsLike', 'windSpeed', 'precipitation']
+        }
+    };
+
+    function withPeak(detail, data) {
+        // "Ventnor Pier: 3.2ft @ 9s SE - Best at 8 AM, after the wind goes offshore"
+        const peak = formatPeak(data);
+        if (!peak) return detail;
+        return detail ? `${detail} - ${peak}` : peak;
+    }
+
+    function hasScore(day, name) {
+        // A complete score and the data behind it. Data behind a null score
+        // may be partial, so nothing that reads it - cards, gear, the
+        // explainer, history or the calendar - gets handed it.
+        return Boolean(day.data[name]) && day.scores[name] !== null;
+    }
+
+    function getActivityNames() {
+        // { surf: 'Surfing', ... } for the activity pickers
+        return Object.fromEntries(Object.entries(ACTIVITIES).map(([key, activity]) => [key, activity.name]));
+    }
+
     // ============================================
     // Main Data Loading
     // ============================================
@@ -702,78 +2976,253 @@
         showLoading();
 
         try {
-            // Fetch all data in parallel
-            const [weather, sunriseData, noaaTides, waterTempData, marineData] = await Promise.all([
-                fetchWeather(),
-                fetchSunrise(),
-                fetchNoaaTides(),
-                fetchWaterTemp(),
-                fetchMarineData()
-            ]);
-
-            state.weather = weather;
-            state.sunrise = sunriseData;
-            state.noaaTides = noaaTides;
-            state.waterTempData = waterTempData;
-            state.marineData = marineData;
-
-            // Calculate scores
-            calculateAllScores();
+            if (fixtureMode && fixtureClock === null) await loadFixtureManifest();
+            await fetchAllData();
+            // Recorded mornings stay out of the journal and history, and never notify
+            if (!fixtureMode) {
+                savePredictions();
+                saveForecastRuns();
+            }
 
             // Update UI
             updateUI();
 
             showContent();
 
+            if (!fixtureMode) checkAlerts();
+
         } catch (error) {
             console.error('Error loading data:', error);
-            showError('Failed to load forecast data. Please try again.');
+            showError(navigator.onLine
+                ? 'Failed to load forecast data. Please try again.'
+                : 'You\'re offline and there\'s no saved forecast recent enough to show.');
+        }
+    }
+
+    async function fetchAllData() {
+        // Fetch all data in parallel - each source on its own, so one outage
+        // only costs the scores that depend on it
+        const [weather, sunriseData, stationData, spotData, buoys] = await Promise.all([
+            fetchWeather().catch(() => null),
+            fetchOutlookSunrises(),
+            fetchStationData(),
+            Promise.all(settings.surfSpots.map(fetchSpotData)),
+            fetchBuoyData()
+        ]);
+
+        state.weather = weather;
+        state.sunrise = sunriseData;
+        state.tides = stationData.tides.data;
+        state.waterTemp = stationData.waterTemp.data;
+        state.stations = { tides: stationData.tides.station, waterTemp: stationData.waterTemp.station };
+        state.spotData = spotData;
+        state.buoys = buoys.map(b => ({ ...b, comparison: compareBuoy(b) }));
+        state.buoyNowcastHours = getBuoyNowcastHours(state.buoys);
+
+        if (!weather && !spotData.some(s => s.marineData) && !stationData.tides.data) {
+            throw new Error('No data sources available');
+        }
+
+        // Calculate scores
+        calculateAllScores();
+
+        // Keep the selected day across refreshes while it is still in the outlook
+        if (!state.days[state.selectedDate]) {
+            state.selectedDate = getTomorrowDate();
         }
     }
 
     function calculateAllScores() {
-        // Determine weather conditions first
-        const weatherCondition = state.weather ? getMorningWeatherCondition(state.weather) : null;
-        state.weatherCondition = weatherCondition;
+        // Score every morning in the outlook
+        state.days = {};
+        for (const date of getOutlookDates()) {
+            state.days[date] = calculateDayScores(date);
+        }
+    }
+
+    function getMissingInputs(targetDate) {
+        // Without a key input the score would be made up of defaults, so it's
+        // marked incomplete; optional ones just fall back
+        const available = {
+            weather: Boolean(state.weather),
+            wind: Boolean(state.weather) || state.spotData.some(s => s.weather),
+            marine: state.spotData.some(s => s.marineData),
+            tides: Boolean(state.tides),
+            waterTemp: Boolean(state.waterTemp),
+            sunrise: Boolean(state.sunrise[targetDate])
+        };
+        const missing = {};
+        for (const [activity, { inputs }] of Object.entries(ACTIVITIES)) {
+            missing[activity] = {
+                key: inputs.key.filter(input => !available[input]),
+                optional: inputs.optional.filter(input => !available[input])
+            };
+        }
+        return missing;
+    }
+
+    function getPredictionSnapshot(day) {
+        // Predicted scores plus every factor and raw input behind them
+        return {
+            date: day.date,
+            savedAt: new Date(now()).toISOString(),
+            scores: { ...day.scores },
+            recommendation: day.recommendation.activity,
+            weatherCondition: day.weatherCondition,
+            ...day.data
+        };
+    }
+
+    async function savePredictions() {
+        // Keep the latest prediction for every outlook morning for the journal
+        try {
+            for (const day of Object.values(state.days)) {
+                await dbPut('predictions', getPredictionSnapshot(day));
+            }
+        } catch (error) {
+            console.error('Prediction save error:', error);
+        }
+    }
+
+    function getForecastRun(day, fetchTimes) {
+        // One run's view of a morning: scores, the pick and the inputs behind
+        // each score. fetchTimes tells runs on the same data apart.
+        const inputs = {};
+        for (const [name, activity] of Object.entries(ACTIVITIES)) {
+            if (!hasScore(day, name)) continue;
+            inputs[name] = activity.explain(day.data[name]).inputs
+                .filter(([, value]) => value !== null && value !== undefined);
+        }
+        return {
+            date: day.date,
+            runAt: new Date(now()).toISOString(),
+            fetchTimes,
+            scores: { ...day.scores },
+            recommendation: { activity: day.recommendation.activity, icon: day.recommendation.icon },
+            inputs
+        };
+    }
+
+    function isSameRun(a, b) {
+        return JSON.stringify(a.fetchTimes) === JSON.stringify(b.fetchTimes);
+    }
+
+    async function saveForecastRuns() {
+        // Add this run to every outlook morning's history - unless nothing was
+        // refetched since the last one (a reload off the cache adds nothing)
+        const fetchTimes = getFetchTimes();
+        try {
+            for (const day of Object.values(state.days)) {
+                const run = getForecastRun(day, fetchTimes);
+                const runs = await dbGetAllByIndex('runs', 'date', day.date);
+                if (runs.length > 0 && isSameRun(runs[runs.length - 1], run)) continue;
+                await dbPut('runs', run);
+            }
+
+            // Mornings long past drop out
+            const cutoff = addDays(getHomeDate(now()), -CONFIG.driftKeepDays);
+            const old = await dbGetAllByIndex('runs', 'date', IDBKeyRange.upperBound(cutoff, true));
+            for (const run of old) await dbDelete('runs', run.id);
+        } catch (error) {
+            console.error('Forecast history save error:', error);
+        }
+    }
+
+    function calculateDayScores(targetDate) {
+        // Activities missing a key input aren't scored at all (null = incomplete)
+        const missing = getMissingInputs(targetDate);
+        const morning = scoreMorning(state.weather, state.spotData, targetDate, missing);
+        const confidence = getModelConfidence(targetDate, missing);
+
+        // Get recommendation
+        const recommendation = getRecommendation(morning.scores, morning.data, morning.weatherCondition, confidence);
+
+        return {
+            date: targetDate,
+            ...morning,
+            gear: getDayGear({ date: targetDate, ...morning }),
+            missing,
+            confidence,
+            recommendation
+        };
+    }
 
-        // Calculate surf score using Open-Meteo marine data
-        const surfScoreData = calculateSurfScore(state.marineData, state.weather);
-        state.scores.surf = surfScoreData.score;
-        state.surfScoreData = surfScoreData;
+    function scoreMorning(weather, spotData, targetDate, missing, waterTemp = state.waterTemp) {
+        // Every activity for one morning from one set of weather data
+        const scores = {};
+        const data = {};
+        const penalties = {};
 
-        // Calculate fish score
-        const fishData = calculateFishScore(state.weather, state.noaaTides, state.waterTempData);
-        state.scores.fish = fishData.score;
-        state.fishData = fishData;
+        // Determine weather conditions first
+        const weatherCondition = weather ? getMorningWeatherCondition(weather, targetDate) : null;
 
-        // Calculate photo score
-        const photoData = calculatePhotoScore(state.weather, state.sunrise);
-        state.scores.photo = photoData.score;
-        state.photoData = photoData;
+        // Buoys seeing the swell early or late move tomorrow's marine hours to match
+        const nowcastHours = targetDate === getTomorrowDate() ? state.buoyNowcastHours : 0;
+        const spots = spotData.map(s => ({ ...s, marineData: shiftMarineData(s.marineData, nowcastHours) }));
+        const morning = { weather, spots, targetDate, nowcastHours, waterTemp };
 
-        // Calculate cycle score
-        const cycleData = calculateCycleScore(state.weather);
-        state.scores.cycle = cycleData.score;
-        state.cycleData = cycleData;
+        for (const [name, activity] of Object.entries(ACTIVITIES)) {
+            data[name] = missing[name].key.length === 0 ? activity.score(morning) : null;
+            scores[name] = data[name] ? data[name].score : null;
+        }
 
         // Apply precipitation penalties to outdoor activities
         if (weatherCondition && weatherCondition.isWet) {
-            const penalty = weatherCondition.condition === 'Snow' ? 6 :
-                            weatherCondition.condition === 'Rain' ? 5 : 2;
-            // Cycling is most affected by rain/snow
-            state.scores.cycle = Math.max(1, state.scores.cycle - penalty);
-            // Photo scoring already handles clouds, but rain kills it
-            state.scores.photo = Math.max(1, state.scores.photo - penalty);
-            // Fishing in light rain is fine, heavier rain less so
-            state.scores.fish = Math.max(1, state.scores.fish - Math.floor(penalty * 0.5));
-            // Surfing - rain doesn't matter much, you're already wet
-            if (weatherCondition.condition === 'Snow') {
-                state.scores.surf = Math.max(1, state.scores.surf - 3);
+            for (const [name, activity] of Object.entries(ACTIVITIES)) {
+                const penalty = activity.wetPenalty[weatherCondition.condition] || 0;
+                if (scores[name] === null || penalty === 0) continue;
+                penalties[name] = penalty;
+                scores[name] = Math.max(1, scores[name] - penalty);
             }
         }
 
-        // Get recommendation
-        state.recommendation = getRecommendation(state.scores, surfScoreData, fishData, cycleData, weatherCondition);
+        return { scores, data, penalties, weatherCondition };
+    }
+
+    function hasMorningData(weather, targetDate) {
+        // Short-range models (HRRR) run out partway through the outlook
+        const indices = getMorningHourIndices(weather.hourly.time, targetDate);
+        return indices.length > 0 &&
+            indices.every(i => weather.hourly.windSpeed[i] !== null && weather.hourly.cloudCover[i] !== null);
+    }
+
+    function getModelConfidence(targetDate, missing) {
+        // Score the morning once per weather model - the spread between them
+        // is how much to trust each score
+        const runs = [];
+        for (const member of state.weather ? state.weather.members : []) {
+            const weather = { hourly: member.hourly };
+            if (!hasMorningData(weather, targetDate)) continue;
+            const spotData = state.spotData.map(data => {
+                const spotMember = data.weather && data.weather.members.find(m => m.model === member.model);
+                return { ...data, weather: spotMember ? { hourly: spotMember.hourly } : null };
+            });
+            runs.push({ model: member.model, scores: scoreMorning(weather, spotData, targetDate, missing).scores });
+        }
+
+        const confidence = {};
+        for (const activity of Object.keys(ACTIVITIES)) {
+            const models = runs
+                .filter(run => run.scores[activity] !== null)
+                .map(run => ({ model: run.model, score: run.scores[activity] }));
+            confidence[activity] = describeModelSpread(models);
+        }
+        return confidence;
+    }
+
+    function describeModelSpread(models) {
+        // One model (or none) can't disagree with itself - no confidence level
+        if (models.length < 2) return { level: null, spread: null, models };
+        const values = models.map(m => m.score);
+        const spread = Math.max(...values) - Math.min(...values);
+        const level = spread <= CONFIG.confidenceSpread.high ? 'high'
+            : spread <= CONFIG.confidenceSpread.medium ? 'medium' : 'low';
+        return { level, spread, models };
+    }
+
+    function formatModelScores(models) {
+        // "ECMWF 7 · GFS 5 · ICON 6"
+        return models.map(m => `${m.model} ${m.score}`).join(' · ');
     }
 
     // ============================================
@@ -799,14 +3248,23 @@
     }
 
     function updateUI() {
+        const day = state.days[state.selectedDate];
+
+        // Outlook strip + day header
+        updateOutlookStrip();
+        document.getElementById('day-title').textContent = `${formatDayName(state.selectedDate)} Morning`;
+
         // Sunrise time
-        if (state.sunrise && state.sunrise.results) {
-            const sunriseTime = formatTime(state.sunrise.results.sunrise);
+        const sunriseData = state.sunrise[state.selectedDate];
+        if (sunriseData) {
+            const sunriseTime = formatTime(sunriseData.sunrise);
             document.getElementById('sunrise-time').textContent = `Sunrise: ${sunriseTime}`;
+        } else {
+            document.getElementById('sunrise-time').textContent = '--';
         }
 
         // Recommendation
-        const rec = state.recommendation;
+        const rec = day.recommendation;
         document.getElementById('rec-activity').innerHTML = `${rec.icon} ${rec.activity}`;
         document.getElementById('rec-detail').textContent = rec.detail;
         const runnerUpEl = document.getElementById('rec-runner-up');
@@ -816,261 +3274,2283 @@
         } else {
             runnerUpEl.style.display = 'none';
         }
+        updateCalendarButton(day);
 
         // Conditions Summary
         // Weather condition
-        if (state.weatherCondition) {
-            document.getElementById('summary-condition').textContent = state.weatherCondition.condition;
+        if (day.weatherCondition) {
+            document.getElementById('summary-condition').textContent = day.weatherCondition.condition;
+        } else {
+            document.getElementById('summary-condition').textContent = '--';
         }
 
         // Air temp (from cycling data which uses Open-Meteo)
-        if (state.cycleData && state.cycleData.temp) {
-            const tempStr = state.cycleData.feelsLike !== state.cycleData.temp
-                ? `${state.cycleData.temp}°F (${state.cycleData.feelsLike}°F)`
-                : `${state.cycleData.temp}°F`;
+        if (hasScore(day, 'cycle')) {
+            const cycleData = day.data.cycle;
+            const tempStr = cycleData.feelsLike !== cycleData.temp
+                ? `${cycleData.temp}°F (${cycleData.feelsLike}°F)`
+                : `${cycleData.temp}°F`;
             document.getElementById('summary-air-temp').textContent = tempStr;
+        } else {
+            document.getElementById('summary-air-temp').textContent = '--';
+        }
+
+        // Water temp
+        if (state.waterTemp) {
+            document.getElementById('summary-water-temp').textContent = `${Math.round(state.waterTemp.temperature)}°F`;
         }
 
-        // Water temp from NOAA
-        if (state.waterTempData && state.waterTempData.data && state.waterTempData.data.length > 0) {
-            const waterTemp = Math.round(parseFloat(state.waterTempData.data[0].v));
-            document.getElementById('summary-water-temp').textContent = `${waterTemp}°F`;
-            // Also update state for surf card
-            state.waterTempNoaa = waterTemp;
+        // Tides
+        if (state.tides) {
+            document.getElementById('summary-tides').textContent = getMorningTideInfo(state.tides, state.selectedDate);
         }
 
-        // Tides from NOAA
-        if (state.noaaTides && state.noaaTides.predictions) {
-            const tideStr = getNoaaTideInfo(state.noaaTides.predictions);
-            document.getElementById('summary-tides').textContent = tideStr;
+        // Activity cards - score, inputs and confidence are the same on every
+        // card, the rest is up to each activity's renderer
+        for (const [name, activity] of Object.entries(ACTIVITIES)) {
+            document.getElementById(`${name}-score`).textContent = formatScore(day.scores[name]);
+            updateScoreColor(`${name}-card`, day.scores[name]);
+            updateMissingInputs(name, day);
+            updateConfidence(name, day);
+            // Nothing from an incomplete score, and nothing left over from the
+            // last day shown either
+            if (hasScore(day, name)) {
+                updatePeak(name, day.data[name]);
+                activity.renderCard(day.data[name], day);
+            } else {
+                clearCard(name);
+            }
+            if (activity.gear) updateGearList(name, day.gear[name] || []);
+            updateExplainer(name, day);
         }
+        updateDrift();
 
-        // Surf card
-        document.getElementById('surf-score').textContent = state.scores.surf;
-        updateScoreColor('surf-card', state.scores.surf);
+        // Which NOAA stations the tide and water values came from
+        const sourceText = formatStationSources(state.stations);
+        document.getElementById('surf-sources').textContent = sourceText;
+        document.getElementById('fish-sources').textContent = sourceText;
 
-        if (state.surfScoreData) {
-            document.getElementById('surf-best-spot').textContent = `Ventnor Area`;
-            document.getElementById('surf-conditions').textContent = state.surfScoreData.details;
+        // Location labels
+        document.getElementById('fish-location').textContent = settings.fishingSpot;
+        document.getElementById('footer-location').textContent = settings.locationName;
 
-            // Get tide info from NOAA
-            let tideInfo = 'Check tide times';
-            if (state.noaaTides && state.noaaTides.predictions) {
-                tideInfo = getNoaaTideInfo(state.noaaTides.predictions);
-                if (tideInfo === '--') tideInfo = 'Check tide times';
-            }
-            document.getElementById('surf-tide').textContent = tideInfo;
+        updateFreshness();
+    }
 
-            // Water temp from NOAA
-            if (state.waterTempNoaa) {
-                document.getElementById('surf-water-temp').textContent = `Water: ${state.waterTempNoaa}°F`;
-            }
+    function updateSurfCard(surf, day) {
+        document.getElementById('surf-best-spot').textContent = `Best spot: ${surf.spot}`;
+        updateSurflineLink(surf.spot);
+        document.getElementById('surf-conditions').textContent = surf.details;
+        updateSpotList(surf.spots);
+        updateBuoyList(state.buoys);
+        const nowcastEl = document.getElementById('surf-nowcast');
+        nowcastEl.textContent = surf.nowcastHours ? describeNowcast(surf.nowcastHours) : '';
+        nowcastEl.style.display = surf.nowcastHours ? 'block' : 'none';
+
+        let tideInfo = 'Check tide times';
+        if (state.tides) {
+            tideInfo = getMorningTideInfo(state.tides, state.selectedDate);
+            if (tideInfo === '--') tideInfo = 'Check tide times';
+        }
+        document.getElementById('surf-tide').textContent = tideInfo;
+        updateTideChart('surf-tide-chart');
 
-            // Air temp from cycling data (Open-Meteo)
-            if (state.cycleData && state.cycleData.temp) {
-                document.getElementById('surf-air-temp').textContent = `Air: ${state.cycleData.temp}°F`;
-            }
+        if (state.waterTemp) {
+            document.getElementById('surf-water-temp').textContent = `Water: ${Math.round(state.waterTemp.temperature)}°F`;
+        }
 
-            // Show wave breakdown instead of forecaster headline
-            const breakdown = `Height: ${state.surfScoreData.heightScore}/10 | Period: ${state.surfScoreData.periodScore}/10 | Wind: ${state.surfScoreData.windScore}/10`;
-            document.getElementById('surf-forecast').textContent = breakdown;
-        }
-
-        // Fish card
-        document.getElementById('fish-score').textContent = state.scores.fish;
-        updateScoreColor('fish-card', state.scores.fish);
-        if (state.fishData) {
-            document.getElementById('fish-moon').textContent = `Moon: ${state.fishData.moonPhase}`;
-            document.getElementById('fish-tide').textContent = state.fishData.tideDetail;
-            document.getElementById('fish-pressure').textContent =
-                `Pressure: ${state.fishData.pressureTrend}`;
-            document.getElementById('fish-wind').textContent =
-                `Wind: ${state.fishData.windSpeed} mph`;
-            if (state.fishData.waterTemp) {
-                document.getElementById('fish-water-temp').textContent =
-                    `Water: ${state.fishData.waterTemp}°F`;
-            }
-            // Species list
-            const speciesList = document.getElementById('fish-species-list');
-            speciesList.innerHTML = '';
-            if (state.fishData.activeSpecies.length > 0) {
-                for (const species of state.fishData.activeSpecies) {
-                    const span = document.createElement('span');
-                    span.className = 'fish-species-tag' + (species.status === 'ideal' ? ' species-ideal' : '');
-                    span.textContent = species.name;
-                    speciesList.appendChild(span);
-                }
-            } else {
-                speciesList.textContent = 'Slow season';
-            }
-            // Score breakdown
-            document.getElementById('fish-breakdown').textContent =
-                `Moon: ${state.fishData.solunarScore}/10 | Tide: ${state.fishData.tideScore}/10 | Pressure: ${state.fishData.pressureScore}/10`;
+        // Air temp from cycling data (Open-Meteo)
+        if (day.data.cycle && day.data.cycle.temp) {
+            document.getElementById('surf-air-temp').textContent = `Air: ${day.data.cycle.temp}°F`;
+        }
+
+        // Show wave breakdown instead of forecaster headline
+        const breakdown = `Height: ${surf.heightScore}/10 | Period: ${surf.periodScore}/10 | Wind: ${Math.round(surf.windScore)}/10`;
+        document.getElementById('surf-forecast').textContent = breakdown;
+    }
+
+    function updateFishCard(fish) {
+        const { moonTimes } = fish;
+        document.getElementById('fish-moon').textContent = [
+            `Moon: ${fish.moonPhase}`,
+            moonTimes.rise !== null ? `rises ${formatTime(moonTimes.rise)}` : '',
+            moonTimes.set !== null ? `sets ${formatTime(moonTimes.set)}` : ''
+        ].filter(Boolean).join(' · ');
+        updateSolunarPeriods(fish.solunarPeriods);
+        document.getElementById('fish-tide').textContent = fish.tideDetail;
+        updateTideChart('fish-tide-chart');
+        document.getElementById('fish-pressure').textContent =
+            `Pressure: ${fish.pressureTrend}`;
+        document.getElementById('fish-wind').textContent =
+            `Wind: ${fish.windSpeed} mph`;
+        if (fish.waterTemp) {
+            document.getElementById('fish-water-temp').textContent =
+                `Water: ${fish.waterTemp}°F`;
         }
+        updateSpeciesList(fish.activeSpecies);
+        // Score breakdown
+        const tideScore = fish.tideScore !== null ? `${fish.tideScore}/10` : 'any';
+        document.getElementById('fish-breakdown').textContent =
+            `Solunar: ${fish.solunarScore}/10 | Tide: ${tideScore} | Pressure: ${fish.pressureScore}/10`;
+    }
 
-        // Photo card
-        document.getElementById('photo-score').textContent = state.scores.photo;
-        updateScoreColor('photo-card', state.scores.photo);
-        document.getElementById('photo-clouds').textContent = `Cloud cover: ${state.photoData.cloudCover}%`;
-        document.getElementById('photo-humidity').textContent = `Model: ECMWF`;
-        document.getElementById('photo-verdict').textContent = state.photoData.verdict;
+    function updatePhotoCard(photo) {
+        const { lowCloud, midCloud, highCloud, visibility, humidity } = photo;
+        document.getElementById('photo-clouds').textContent =
+            `Clouds at sunrise: low ${lowCloud}% · mid ${midCloud}% · high ${highCloud}%`;
+        document.getElementById('photo-humidity').textContent = [
+            visibility !== null ? `Visibility: ${visibility} mi` : '',
+            humidity !== null ? `Humidity: ${humidity}%` : ''
+        ].filter(Boolean).join(' · ') || '--';
+        document.getElementById('photo-verdict').textContent = photo.verdict;
+    }
 
-        // Cycle card
-        document.getElementById('cycle-score').textContent = state.scores.cycle;
-        updateScoreColor('cycle-card', state.scores.cycle);
+    function updateCycleCard(cycle) {
         document.getElementById('cycle-wind').textContent =
-            `Wind: ${state.cycleData.windSpeed} mph ${state.cycleData.windCardinal}` +
-            (state.cycleData.windGusts ? ` (gusts ${state.cycleData.windGusts} mph)` : '');
-        const cycleTempStr = state.cycleData.feelsLike !== state.cycleData.temp
-            ? `Feels like ${state.cycleData.feelsLike}°F (actual ${state.cycleData.temp}°F)`
-            : `Temperature: ${state.cycleData.temp}°F`;
+            `Wind: ${cycle.windSpeed} mph ${cycle.windCardinal}` +
+            (cycle.windGusts ? ` (gusts ${cycle.windGusts} mph)` : '');
+        const cycleTempStr = cycle.feelsLike !== cycle.temp
+            ? `Feels like ${cycle.feelsLike}°F (actual ${cycle.temp}°F)`
+            : `Temperature: ${cycle.temp}°F`;
         document.getElementById('cycle-temp').textContent = cycleTempStr;
-        document.querySelector('.direction-text').textContent = state.cycleData.directionText;
+        document.querySelector('.direction-text').textContent = cycle.directionText;
+        updateCycleRoutes(cycle.routes);
 
-        // Update direction arrow
+        // Update direction arrow - points along the first leg (north-up)
         const dirIcon = document.querySelector('.direction-icon');
-        if (state.cycleData.direction === 'ac') {
-            dirIcon.innerHTML = '&#8593;'; // Up arrow (north)
-        } else if (state.cycleData.direction === 'longport') {
-            dirIcon.innerHTML = '&#8595;'; // Down arrow (south)
+        if (cycle.direction === 'either') {
+            dirIcon.innerHTML = '&#8596;'; // Both ways, turned to lie along the route
+            dirIcon.style.transform = `rotate(${Math.round(cycle.directionBearing - 90)}deg)`;
         } else {
-            dirIcon.innerHTML = '&#8596;'; // Both ways
+            dirIcon.innerHTML = '&#8593;';
+            dirIcon.style.transform = `rotate(${Math.round(cycle.directionBearing || 0)}deg)`;
         }
+    }
 
-        // Last updated
-        document.getElementById('last-updated').textContent = formatDateTime(new Date());
+    function updatePaddleCard(paddle) {
+        document.getElementById('paddle-wind').textContent =
+            `Wind: ${paddle.windSpeed} mph ${paddle.windCardinal}` +
+            (paddle.windGusts > paddle.windSpeed ? ` (gusts ${paddle.windGusts} mph)` : '');
+        document.getElementById('paddle-current').textContent = paddle.tideRate !== null
+            ? `Current: ${paddle.tideRising ? 'flooding' : 'ebbing'}, tide ${paddle.tideRate.toFixed(1)} ft/hr`
+            : 'Current: check tide times';
+        document.getElementById('paddle-temp').textContent = `Feels like ${paddle.feelsLike}°F`;
+        const current = paddle.currentScore !== null ? `${paddle.currentScore}/10` : 'n/a';
+        document.getElementById('paddle-breakdown').textContent =
+            `Wind: ${paddle.windScore}/10 | Current: ${current} | Temp: ${paddle.tempScore}/10`;
     }
 
-    function updateScoreColor(cardId, score) {
-        const card = document.getElementById(cardId);
-        card.classList.remove('score-low', 'score-medium', 'score-high');
+    function updateKiteCard(kite) {
+        const spot = settings.surfSpots.find(s => s.name === kite.spot);
+        document.getElementById('kite-beach').textContent = spot && typeof spot.facing === 'number'
+            ? `Beach: ${kite.spot} (faces ${degreesToCardinal(spot.facing)})`
+            : `Beach: ${kite.spot}`;
+        document.getElementById('kite-wind').textContent =
+            `Wind: ${kite.windSpeed} mph ${kite.windCardinal}, ${describeWindComponent(kite.windComponent)}` +
+            (kite.windGusts > kite.windSpeed ? ` (gusts ${kite.windGusts} mph)` : '');
+        document.getElementById('kite-verdict').textContent = kite.isOffshore
+            ? 'Offshore wind - it will blow you out to sea'
+            : kite.windScore <= 4 ? 'Not enough wind to get going' : '';
+        document.getElementById('kite-breakdown').textContent =
+            `Wind: ${kite.windScore}/10 | Direction: ${kite.directionScore}/10 | Gusts: ${kite.gustScore}/10`;
+    }
 
-        if (score >= 7) {
-            card.classList.add('score-high');
-        } else if (score >= 5) {
-            card.classList.add('score-medium');
-        } else {
-            card.classList.add('score-low');
-        }
+    function updateRunCard(run) {
+        document.getElementById('run-tide').textContent = run.tideLevel
+            ? `Tide: ${run.tideLevel} and ${run.tideRising ? 'rising' : 'falling'}`
+            : 'Tide: check tide times';
+        updateTideChart('run-tide-chart');
+        document.getElementById('run-temp').textContent = run.feelsLike !== run.temp
+            ? `Feels like ${run.feelsLike}°F (actual ${run.temp}°F)`
+            : `Temperature: ${run.temp}°F`;
+        document.getElementById('run-wind').textContent = `Wind: ${run.windSpeed} mph ${run.windCardinal}`;
+        const tide = run.tideScore !== null ? `${run.tideScore}/10` : 'n/a';
+        document.getElementById('run-breakdown').textContent =
+            `Tide: ${tide} | Temp: ${run.tempScore}/10 | Wind: ${run.windScore}/10`;
     }
 
-    function getTideInfo(surfData) {
-        if (!surfData || !surfData.tides || !surfData.tides.data || !surfData.tides.data.tides) {
-            return 'Tide data unavailable';
-        }
+    function getFetchTimes() {
+        // When each source's data actually came off the network (null = not loaded).
+        // Marine is per spot, so the oldest spot speaks for it.
+        const marineTimes = state.spotData.map(s => s.marineData && s.marineData.fetchedAt).filter(Boolean);
+        return {
+            weather: state.weather ? state.weather.fetchedAt : null,
+            marine: marineTimes.length > 0 ? Math.min(...marineTimes) : null,
+            tides: state.tides ? state.tides.fetchedAt : null,
+            waterTemp: state.waterTemp ? state.waterTemp.fetchedAt : null
+        };
+    }
 
-        const tomorrow = getTomorrowDate();
-        const tides = surfData.tides.data.tides;
-        const morningTides = [];
-
-        for (const tide of tides) {
-            // Only include HIGH and LOW tides, skip NORMAL
-            if (tide.type !== 'HIGH' && tide.type !== 'LOW') continue;
-
-            const tideDate = new Date(tide.timestamp * 1000);
-            const dateStr = formatLocalDate(tideDate);
-            const hour = tideDate.getHours();
-
-            if (dateStr === tomorrow && hour >= 4 && hour <= 12) {
-                morningTides.push({
-                    type: tide.type === 'HIGH' ? 'High' : 'Low',
-                    time: formatTime(tideDate),
-                    height: tide.height?.toFixed(1) || '--'
-                });
-            }
+    function updateFreshness() {
+        // Stale/offline banner, and "Last updated" from the oldest data shown
+        const currentTime = now();
+        const fetchTimes = getFetchTimes();
+        const loaded = Object.values(fetchTimes).filter(Boolean);
+        const isStale = loaded.some(time => currentTime - time > CONFIG.staleAfterMinutes * 60 * 1000);
+        const isMissing = loaded.length < Object.keys(fetchTimes).length;
+        const isOffline = !navigator.onLine && !fixtureMode;
+
+        const banner = document.getElementById('freshness-banner');
+        banner.style.display = isStale || isMissing || isOffline || fixtureMode ? 'block' : 'none';
+        banner.classList.toggle('offline', isOffline);
+        document.getElementById('freshness-title').textContent = fixtureMode
+            ? `Recorded fixtures for ${fixtureLocation} from ${formatDateTime(currentTime)} - nothing fetched live`
+            : isOffline ? 'Offline - showing saved forecasts'
+                : isStale ? 'Some forecast data is out of date' : 'Some forecast data is unavailable';
+        document.getElementById('freshness-detail').textContent = Object.entries(fetchTimes)
+            .map(([source, time]) => `${SOURCE_NAMES[source]}: ${time ? formatAge(currentTime - time) : 'unavailable'}`)
+            .join(' · ');
+
+        document.getElementById('last-updated').textContent =
+            loaded.length > 0 ? formatDateTime(Math.min(...loaded)) : '--';
+    }
+
+    function formatStation(station) {
+        if (!station) return 'no station nearby';
+        return `${station.name} (${station.distance.toFixed(1)} mi)`;
+    }
+
+    function formatStationSources(stations) {
+        // "Tides: Atlantic City, NJ (3.1 mi) · Water: Atlantic City, NJ (3.1 mi)"
+        return `Tides: ${formatStation(stations.tides)} · Water: ${formatStation(stations.waterTemp)}`;
+    }
+
+    function updateSurflineLink(spotName) {
+        // Point the Surfline link at the best spot when it has a Surfline ID
+        const link = document.getElementById('surfline-link');
+        const spot = settings.surfSpots.find(s => s.name === spotName);
+        if (spot && spot.id) {
+            const slug = spot.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            link.href = `https://www.surfline.com/surf-report/${slug}/${spot.id}`;
+            link.style.display = '';
+        } else {
+            link.style.display = 'none';
         }
+    }
 
-        if (morningTides.length === 0) {
-            return 'Check tide times';
+    function updateOutlookStrip() {
+        // One tile per outlook morning - tap to fill in the cards for that date
+        const strip = document.getElementById('outlook-strip');
+        strip.innerHTML = '';
+        for (const date of Object.keys(state.days)) {
+            const day = state.days[date];
+            const scored = Object.values(day.scores).filter(score => score !== null);
+            const best = scored.length > 0 ? Math.max(...scored) : null;
+            const tile = document.createElement('button');
+            tile.className = 'outlook-day' + (date === state.selectedDate ? ' selected' : '');
+            tile.innerHTML = `
+                <span class="outlook-name">${formatDayName(date, 'short')}</span>
+                <span class="outlook-icon">${day.recommendation.icon}</span>
+                <span class="outlook-score">${formatScore(best)}</span>
+            `;
+            tile.title = day.recommendation.activity;
+            updateScoreColor(tile, best);
+            tile.addEventListener('click', () => selectDay(date));
+            strip.appendChild(tile);
         }
+    }
 
-        return morningTides.map(t => `${t.type}: ${t.time}`).join(' | ');
+    function selectDay(date) {
+        // Scores are already computed for every outlook day - just re-render
+        state.selectedDate = date;
+        updateUI();
     }
 
-    function getShortTideInfo(surfData) {
-        // Shorter format for the conditions summary
-        if (!surfData || !surfData.tides || !surfData.tides.data || !surfData.tides.data.tides) {
-            return '--';
-        }
+    function updateTideChart(id) {
+        const chart = document.getElementById(id);
+        chart.innerHTML = state.tides ? renderTideChart(state.tides, state.selectedDate) : '';
+    }
 
-        const tomorrow = getTomorrowDate();
-        const tides = surfData.tides.data.tides;
-        const morningTides = [];
-
-        for (const tide of tides) {
-            // Only include HIGH and LOW tides, skip NORMAL
-            if (tide.type !== 'HIGH' && tide.type !== 'LOW') continue;
-
-            const tideDate = new Date(tide.timestamp * 1000);
-            const dateStr = formatLocalDate(tideDate);
-            const hour = tideDate.getHours();
-
-            // Get tides from 4 AM to noon
-            if (dateStr === tomorrow && hour >= 4 && hour <= 12) {
-                morningTides.push({
-                    type: tide.type === 'HIGH' ? 'H' : 'L',
-                    time: formatTime(tideDate)
-                });
-            }
+    function clearCard(activity) {
+        // Back to placeholders: "--" text, empty lists and charts
+        const body = document.querySelector(`#${activity}-card .card-body`);
+        updatePeak(activity, null);
+        for (const el of body.querySelectorAll('.card-detail:not(.card-peak), .card-forecast, .card-temps span, .direction-text')) {
+            el.textContent = '--';
         }
+        for (const el of body.querySelectorAll('.spot-list, .buoy-list, .species-list, .solunar-periods, .route-legs, .tide-chart')) {
+            el.innerHTML = '';
+        }
+    }
 
-        if (morningTides.length === 0) {
-            return '--';
+    function updateSolunarPeriods(periods) {
+        // "Major 6:48-8:48 AM" tags - periods touching the morning window highlighted
+        const list = document.getElementById('fish-solunar');
+        list.innerHTML = '';
+        for (const period of periods) {
+            const tag = document.createElement('span');
+            const inWindow = period.endHour > CONFIG.morningStartHour && period.startHour < CONFIG.morningEndHour + 1;
+            tag.className = 'fish-species-tag solunar-period' + (inWindow ? ' species-ideal' : '');
+            tag.textContent = `${period.type === 'major' ? 'Major' : 'Minor'} ${formatTime(period.start)}-${formatTime(period.end)}`;
+            list.appendChild(tag);
         }
+    }
 
-        return morningTides.map(t => `${t.type} ${t.time}`).join(', ');
+    function updatePeak(activity, data) {
+        // Best hour in the morning window plus the per-hour scores behind it
+        document.getElementById(`${activity}-peak`).textContent = formatPeak(data) || '--';
+        document.getElementById(`${activity}-hours`).textContent = formatHourScores(data && data.hours);
     }
 
-    function getNoaaTideInfo(predictions) {
-        // Parse NOAA tide predictions for tomorrow morning
-        // NOAA format: { t: "2024-02-27 06:32", v: "4.123", type: "H" }
-        if (!predictions || predictions.length === 0) {
-            return '--';
+    function updateScoreColor(cardOrId, score) {
+        const card = typeof cardOrId === 'string' ? document.getElementById(cardOrId) : cardOrId;
+        card.classList.remove('score-low', 'score-medium', 'score-high', 'score-incomplete');
+
+        if (score === null) {
+            card.classList.add('score-incomplete');
+        } else if (score >= 7) {
+            card.classList.add('score-high');
+        } else if (score >= 5) {
+            card.classList.add('score-medium');
+        } else {
+            card.classList.add('score-low');
         }
+    }
 
-        const tomorrow = getTomorrowDate();
-        const morningTides = [];
+    function formatScore(score) {
+        return score === null ? '--' : score;
+    }
 
-        for (const pred of predictions) {
-            // Only include H (high) and L (low) entries
-            if (pred.type !== 'H' && pred.type !== 'L') continue;
+    const CONFIDENCE_LABELS = { high: 'High confidence', medium: 'Medium confidence', low: 'Low confidence' };
+
+    function updateConfidence(activity, day) {
+        // Badge next to the score, per-model scores in the card body
+        const { level, models } = day.confidence[activity];
+        const badge = document.getElementById(`${activity}-confidence`);
+        badge.className = 'score-confidence' + (level ? ` confidence-${level}` : '');
+        badge.textContent = level ? CONFIDENCE_LABELS[level] : '';
+        badge.title = formatModelScores(models);
+        document.getElementById(`${activity}-models`).textContent =
+            models.length > 1 ? `Models: ${formatModelScores(models)}` : '';
+    }
 
-            // Parse the NOAA datetime format "YYYY-MM-DD HH:MM"
-            const [dateStr, timeStr] = pred.t.split(' ');
+    function updateMissingInputs(activity, day) {
+        // Which inputs a card is missing - an incomplete card hides its details
+        const { key, optional } = day.missing[activity];
+        const isIncomplete = day.scores[activity] === null;
+        const names = inputs => inputs.map(input => SOURCE_NAMES[input]).join(', ');
+        const notes = [];
+        if (isIncomplete) {
+            notes.push(key.length > 0 ? `Incomplete - missing ${names(key)}` : 'Incomplete - no forecast for this morning');
+        }
+        if (optional.length > 0) {
+            notes.push(`${isIncomplete ? 'Also missing' : 'Missing'}: ${names(optional)}`);
+        }
 
-            if (dateStr === tomorrow) {
-                const hour = parseInt(timeStr.split(':')[0], 10);
+        document.getElementById(`${activity}-card`).classList.toggle('incomplete', isIncomplete);
+        const el = document.getElementById(`${activity}-missing`);
+        el.textContent = notes.join(' · ');
+        el.style.display = notes.length > 0 ? 'block' : 'none';
+    }
 
-                // Get tides from 4 AM to noon
-                if (hour >= 4 && hour <= 12) {
-                    // Parse time for display
-                    const [h, m] = timeStr.split(':');
-                    const hourNum = parseInt(h, 10);
-                    const ampm = hourNum >= 12 ? 'PM' : 'AM';
-                    const hour12 = hourNum > 12 ? hourNum - 12 : (hourNum === 0 ? 12 : hourNum);
+    function updateSpotList(spotScores) {
+        // Ranked list of every surf spot, best first
+        const list = document.getElementById('surf-spot-list');
+        list.innerHTML = '';
+        for (const spotScore of spotScores) {
+            const item = document.createElement('div');
+            const quality = spotScore.score >= 7 ? 'spot-good' : spotScore.score >= 5 ? 'spot-ok' : 'spot-poor';
+            item.className = `spot-item ${quality}`;
+
+            const name = document.createElement('span');
+            name.className = 'spot-name';
+            name.textContent = spotScore.spot;
+
+            const score = document.createElement('span');
+            score.className = 'spot-score';
+            score.textContent = `${formatScore(spotScore.score)}/10`;
+
+            const details = document.createElement('span');
+            details.className = 'spot-details';
+            details.textContent = spotScore.details;
+
+            item.append(name, score, details);
+            list.appendChild(item);
+        }
+    }
 
-                    morningTides.push({
-                        type: pred.type,
-                        time: `${hour12}:${m} ${ampm}`
-                    });
-                }
+    function updateBuoyList(buoys) {
+        // Latest buoy reports next to what the marine model has there now
+        const list = document.getElementById('surf-buoys');
+        list.innerHTML = '';
+        for (const { buoy, latest, comparison } of buoys) {
+            const item = document.createElement('div');
+            item.className = 'buoy-item';
+
+            const name = document.createElement('span');
+            name.className = 'buoy-name';
+            name.textContent = `${buoy.name} buoy ${buoy.id} (${buoy.distance.toFixed(0)} mi)`;
+
+            const observed = document.createElement('span');
+            observed.className = 'buoy-observed';
+            const period = latest.period !== null ? ` @ ${Math.round(latest.period)}s` : '';
+            const direction = latest.direction !== null ? ` ${degreesToCardinal(latest.direction)}` : '';
+            const waterTemp = latest.waterTemp !== null ? ` · ${Math.round(latest.waterTemp)}°F` : '';
+            observed.textContent = `${latest.waveHeight.toFixed(1)}ft${period}${direction}${waterTemp} · ${formatAge(now() - latest.time)}`;
+
+            const model = document.createElement('span');
+            model.className = 'buoy-model';
+            if (comparison) {
+                const bias = comparison.bias;
+                const biasText = Math.abs(bias) < 0.25
+                    ? 'on target'
+                    : `buoy ${bias > 0 ? '+' : ''}${bias.toFixed(1)}ft vs model`;
+                model.textContent = `Model ${comparison.modelHeight.toFixed(1)}ft @ ${Math.round(comparison.modelPeriod)}s · ${biasText}`;
+            } else {
+                model.textContent = 'Not enough overlap with the model to compare';
             }
+
+            item.append(name, observed, model);
+            list.appendChild(item);
         }
+    }
 
-        if (morningTides.length === 0) {
-            return '--';
+    function updateGearList(activity, advice) {
+        // Gear chips, warnings flagged - the rule's group names the chip
+        const list = document.getElementById(`${activity}-gear`);
+        list.innerHTML = '';
+        for (const rule of advice) {
+            const chip = document.createElement('span');
+            chip.className = 'gear-item' + (rule.warning ? ' gear-warning' : '');
+            chip.textContent = rule.warning ? `⚠ ${rule.item}` : rule.item;
+            chip.title = rule.group;
+            list.appendChild(chip);
         }
+    }
 
-        return morningTides.map(t => `${t.type} ${t.time}`).join(', ');
+    function updateSpeciesList(species) {
+        // Ranked species forecasts: score and best hour, bait and technique,
+        // and the regulations when they limit what you can keep
+        const list = document.getElementById('fish-species-list');
+        list.innerHTML = '';
+        if (species.length === 0) {
+            list.textContent = 'Slow season';
+            return;
+        }
+        for (const s of species) {
+            const { status, text, closingSoon } = s.regulation;
+            const item = document.createElement('div');
+            item.className = `species-item species-${status}`;
+
+            const name = document.createElement('span');
+            name.className = 'species-name';
+            name.textContent = `${s.emoji} ${s.name} ${s.score}/10` + (s.bestHour !== undefined ? ` · best ${formatHour(s.bestHour)}` : '');
+
+            const tackle = document.createElement('span');
+            tackle.className = 'species-tackle';
+            tackle.textContent = `${s.bait} · ${s.technique}`;
+            item.append(name, tackle);
+
+            if (status === 'closed' || status === 'restricted' || closingSoon) {
+                const rules = document.createElement('span');
+                rules.className = 'species-rules';
+                rules.textContent = status === 'closed' ? `${text} - catch and release only` : text;
+                item.appendChild(rules);
+            }
+            list.appendChild(item);
+        }
     }
 
-    // ============================================
+    function updateCycleRoutes(routes) {
+        // Legs of the recommended ride in order, then the other routes ranked
+        const list = document.getElementById('cycle-legs');
+        list.innerHTML = '';
+        const [best, ...others] = routes || [];
+        if (!best) return;
+
+        best.direction.legs.forEach((leg, i) => {
+            const item = document.createElement('div');
+            item.className = 'route-leg' + (leg.effort > 0 ? ' route-leg-headwind' : '');
+            item.textContent = `${i + 1}. ${formatLegEffort(leg)}`;
+            list.appendChild(item);
+        });
+
+        const total = document.createElement('div');
+        total.className = 'route-total';
+        const effort = Math.round(best.direction.effort * 100);
+        total.textContent = `${best.direction.distance.toFixed(1)} mi, about ${best.direction.minutes} min · ` +
+            `${effort > 0 ? '+' : ''}${effort}% effort overall`;
+        list.appendChild(total);
+
+        for (const route of others) {
+            const item = document.createElement('div');
+            item.className = 'route-other';
+            const routeEffort = Math.round(route.direction.effort * 100);
+            item.textContent = `${route.name} (${route.direction.label}): ${route.direction.distance.toFixed(1)} mi · ` +
+                `${routeEffort > 0 ? '+' : ''}${routeEffort}% effort`;
+            list.appendChild(item);
+        }
+    }
+
+    function getMorningTideInfo(tides, targetDate) {
+        // Highs and lows from 4 AM to noon, e.g. "H 6:32 AM, L 12:41 PM"
+        const start = getNaiveTime(targetDate, 4);
+        const end = getNaiveTime(targetDate, 13);
+        const morningTides = tides.turns.filter(t => t.time >= start && t.time < end);
+        if (morningTides.length === 0) {
+            return '--';
+        }
+        return morningTides.map(t => `${t.type} ${formatNaiveTime(t.time)}`).join(', ');
+    }
+
+    // ============================================
+    // Forecast Trend
+    // ============================================
+    // How the selected morning's scores and pick moved over the last few days
+    // of runs. The history comes from IndexedDB plus this run if it isn't
+    // stored yet (fixture mode, or the save still in flight).
+    function formatRunTime(iso) {
+        return new Date(iso).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    }
+
+    function getScoreTrend(runs, name) {
+        const points = runs.filter(run => run.scores[name] !== null && run.scores[name] !== undefined);
+        if (points.length < 2) return null;
+        const first = points[0].scores[name];
+        const last = points[points.length - 1].scores[name];
+        const change = last - first;
+        const direction = change >= CONFIG.driftTrendPoints ? 'trending up'
+            : change <= -CONFIG.driftTrendPoints ? 'falling'
+            : 'steady';
+        return { first, last, change, direction };
+    }
+
+    function renderDriftChart(runs) {
+        // Score (1-10) against run time, one line per activity
+        const width = 300;
+        const height = 120;
+        const pad = 16;
+        const start = new Date(runs[0].runAt).getTime();
+        const span = Math.max(new Date(runs[runs.length - 1].runAt).getTime() - start, 1);
+        const x = iso => pad + ((new Date(iso).getTime() - start) / span) * (width - 2 * pad);
+        const y = score => height - pad - ((score - 1) / 9) * (height - 2 * pad);
+
+        const lines = Object.entries(ACTIVITIES).map(([name, activity]) => {
+            const points = runs
+                .filter(run => run.scores[name] !== null && run.scores[name] !== undefined)
+                .map(run => `${x(run.runAt).toFixed(1)},${y(run.scores[name]).toFixed(1)}`);
+            if (points.length === 0) return '';
+            return `<polyline points="${points.join(' ')}" class="drift-line" stroke="${activity.color}"/>` +
+                points.map(point => {
+                    const [cx, cy] = point.split(',');
+                    return `<circle cx="${cx}" cy="${cy}" r="2.5" fill="${activity.color}"/>`;
+                }).join('');
+        }).join('');
+
+        return `<svg class="drift-chart-svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+            <rect x="${pad}" y="${pad}" width="${width - 2 * pad}" height="${height - 2 * pad}" class="calibration-frame"/>
+            <line x1="${pad}" y1="${y(5.5)}" x2="${width - pad}" y2="${y(5.5)}" class="drift-mid"/>
+            <text x="${pad - 4}" y="${y(10) + 3}" class="drift-axis">10</text>
+            <text x="${pad - 4}" y="${y(1) + 3}" class="drift-axis">1</text>
+            <text x="${pad}" y="${height - 2}" class="drift-axis drift-axis-start">${formatRunTime(runs[0].runAt)}</text>
+            <text x="${width - pad}" y="${height - 2}" class="drift-axis drift-axis-end">${formatRunTime(runs[runs.length - 1].runAt)}</text>
+            ${lines}
+        </svg>`;
+    }
+
+    function renderDriftSummary(container, runs) {
+        container.innerHTML = '';
+        for (const [name, activity] of Object.entries(ACTIVITIES)) {
+            const trend = getScoreTrend(runs, name);
+            if (!trend) continue;
+            const row = document.createElement('div');
+            row.className = `drift-trend drift-${trend.direction.replace(' ', '-')}`;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'drift-swatch';
+            swatch.style.background = activity.color;
+            row.appendChild(swatch);
+
+            const text = document.createElement('span');
+            text.textContent = `${activity.name} ${trend.first} → ${trend.last} · ${trend.direction}`;
+            row.appendChild(text);
+            container.appendChild(row);
+        }
+    }
+
+    function renderDriftPicks(container, runs) {
+        // Only the runs where the pick changed, with what the new pick was based on
+        container.innerHTML = '';
+        let previous = null;
+        for (const run of runs) {
+            const pick = run.recommendation.activity;
+            if (pick === previous) continue;
+            previous = pick;
+
+            const name = Object.keys(ACTIVITIES).find(key => ACTIVITIES[key].label === pick);
+            const row = document.createElement('div');
+            row.className = 'drift-pick';
+            const score = name && run.scores[name] !== null ? ` (${run.scores[name]}/10)` : '';
+            // Icons are HTML entities, as on the recommendation card
+            row.innerHTML = `${formatRunTime(run.runAt)}: ${run.recommendation.icon} `;
+            row.appendChild(document.createTextNode(`${pick}${score}`));
+            if (name && run.inputs[name]) {
+                row.title = run.inputs[name].map(([label, value]) => `${label}: ${value}`).join('\n');
+            }
+            container.appendChild(row);
+        }
+    }
+
+    async function updateDrift() {
+        const card = document.getElementById('drift');
+        const date = state.selectedDate;
+        const day = state.days[date];
+        let runs = [];
+        try {
+            runs = (await dbGetAllByIndex('runs', 'date', date))
+                .sort((a, b) => a.runAt.localeCompare(b.runAt));
+        } catch (error) {
+            console.error('Forecast history load error:', error);
+        }
+        // Another day was picked while this one loaded
+        if (state.selectedDate !== date || !state.days[date]) return;
+
+        const current = getForecastRun(day, getFetchTimes());
+        if (runs.length === 0 || !isSameRun(runs[runs.length - 1], current)) runs.push(current);
+
+        const since = now() - CONFIG.driftDays * 24 * HOUR_MS;
+        runs = runs.filter(run => new Date(run.runAt).getTime() >= since);
+        if (runs.length < 2) {
+            card.style.display = 'none';
+            return;
+        }
+
+        card.style.display = 'block';
+        document.getElementById('drift-label').textContent =
+            `FORECAST TREND · ${runs.length} RUNS SINCE ${formatRunTime(runs[0].runAt).toUpperCase()}`;
+        document.getElementById('drift-chart').innerHTML = renderDriftChart(runs);
+        renderDriftSummary(document.getElementById('drift-summary'), runs);
+        renderDriftPicks(document.getElementById('drift-picks'), runs);
+    }
+
+    // ============================================
+    // Calendar Export
+    // ============================================
+    // The recommended session as an .ics event. The UID is the same for every
+    // export of a morning, so importing a later run's file moves or rewrites
+    // the event instead of adding a second one.
+    function getSpotLocation(spotName) {
+        const spot = settings.surfSpots.find(s => s.name === spotName);
+        return spot ? { name: spot.name, lat: spot.lat, lng: spot.lng } : { name: spotName };
+    }
+
+    function getSessionStart(name, data, date) {
+        // Photos: ahead of sunrise, as the card says. Everyone else: the best hour.
+        const sunriseData = state.sunrise[date];
+        if (name === 'photo' && sunriseData) {
+            return new Date(new Date(sunriseData.sunrise).getTime() - CONFIG.photoArriveMinutes * 60 * 1000);
+        }
+        // bestHour is a home hour, whatever timezone the device is in. On a
+        // daylight-saving day the day is 23 or 25 hours long - land on the
+        // wall-clock hour anyway.
+        const start = getZonedDayStart(date) + data.bestHour * HOUR_MS;
+        return new Date(start + (data.bestHour - getLocalHours(start)) * HOUR_MS);
+    }
+
+    function decodeIcon(icon) {
+        // Activity icons are HTML entities - "&#127940;" -> the emoji
+        return icon.replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)));
+    }
+
+    function formatIcsTime(date) {
+        // UTC basic format: 20261020T113000Z
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function escapeIcsText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+    }
+
+    function foldIcsLine(line) {
+        // At most 75 octets a line - longer ones continue after a line break and a space
+        const encoder = new TextEncoder();
+        const parts = [];
+        let part = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(part);
+                part = '';
+                octets = 0;
+            }
+            part += char;
+            octets += size;
+        }
+        parts.push(part);
+        return parts.join('\r\n ');
+    }
+
+    function describeSession(name, day) {
+        // Event description: the pick, its inputs and the score breakdown
+        const activity = ACTIVITIES[name];
+        const data = day.data[name];
+        const { inputs, factors } = activity.explain(data);
+        const { level } = day.confidence[name];
+        const weightSum = factors.reduce((sum, f) => sum + (f.weight || 0), 0);
+        const lines = [
+            `${activity.name}: ${day.scores[name]}/10` + (level ? ` (${CONFIDENCE_LABELS[level].toLowerCase()})` : ''),
+            activity.getDetail(data),
+            '',
+            `Conditions at ${data.bestTime || formatHour(data.bestHour)}:`,
+            ...inputs.filter(([, value]) => value !== null && value !== undefined).map(([label, value]) => `${label}: ${value}`),
+            '',
+            'Score breakdown:',
+            ...factors.filter(f => f.weight !== 0).map(f => `${f.label}: ${formatExplainScore(f.score)}/10` +
+                (f.weight === null ? ' (ceiling)' : ` (${Math.round(f.weight / weightSum * 100)}%)`))
+        ];
+        if (day.penalties[name]) lines.push(`${day.weatherCondition.condition} penalty: -${day.penalties[name]}`);
+        lines.push('', `Forecast as of ${formatDateTime(new Date(now()))}`);
+        return lines.join('\n');
+    }
+
+    function buildSessionEvent(name, day) {
+        const activity = ACTIVITIES[name];
+        const data = day.data[name];
+        const start = getSessionStart(name, data, day.date);
+        const minutes = name === 'cycle' ? data.routes[0].direction.minutes : CONFIG.calendarEventMinutes;
+        const end = new Date(start.getTime() + minutes * 60 * 1000);
+        const location = activity.location ? activity.location(data) : { name: settings.locationName, lat: settings.latitude, lng: settings.longitude };
+        const stamp = new Date(now());
+        const summary = `${decodeIcon(activity.icon)} ${activity.name} (${day.scores[name]}/10)`;
+        const home = settings.locationName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Dawn Patrol//Morning Activity Advisor//EN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${day.date}-${home}@dawn-patrol`,
+            // Later exports of the same morning win - minutes since the epoch only go up
+            `SEQUENCE:${Math.floor(stamp.getTime() / 60000)}`,
+            `DTSTAMP:${formatIcsTime(stamp)}`,
+            `DTSTART:${formatIcsTime(start)}`,
+            `DTEND:${formatIcsTime(end)}`,
+            `SUMMARY:${escapeIcsText(summary)}`,
+            `LOCATION:${escapeIcsText(location.name)}`
+        ];
+        if (location.lat !== undefined) lines.push(`GEO:${location.lat};${location.lng}`);
+        lines.push(`DESCRIPTION:${escapeIcsText(describeSession(name, day))}`);
+        for (const minutesBefore of CONFIG.calendarAlarmMinutes) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `TRIGGER:-PT${minutesBefore}M`,
+                `DESCRIPTION:${escapeIcsText(`${activity.name} in ${minutesBefore} min - ${location.name}`)}`,
+                'END:VALARM'
+            );
+        }
+        lines.push('END:VEVENT', 'END:VCALENDAR');
+        return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    }
+
+    function updateCalendarButton(day) {
+        // Only a pick that is an activity has a session to export
+        const rec = day.recommendation;
+        const canExport = Boolean(rec.name) && hasScore(day, rec.name);
+        document.getElementById('rec-calendar').style.display = canExport ? '' : 'none';
+    }
+
+    window.exportCalendar = function() {
+        const day = state.days[state.selectedDate];
+        const name = day.recommendation.name;
+        if (!name || !hasScore(day, name)) return;
+
+        const blob = new Blob([buildSessionEvent(name, day)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dawn-patrol-${day.date}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    };
+
+    // ============================================
+    // Score Explainer
+    // ============================================
+    // What-if sliders. Each one moves a forecast input for the whole date -
+    // shifted by the difference, or scaled by the ratio for wave heights -
+    // starting from its value at the card's best hour (read).
+    const WHAT_IF_INPUTS = {
+        windSpeed: {
+            label: 'Wind', unit: 'mph', range: [0, 40, 1], bounds: [0, null],
+            source: 'weather', variables: ['windSpeed', 'windGusts'], read: data => data.windSpeed
+        },
+        windDirection: {
+            label: 'Wind from', unit: '°', range: [0, 355, 5], wrap: 360,
+            source: 'weather', variables: ['windDirection'], read: data => data.windDirection
+        },
+        feelsLike: {
+            label: 'Feels like', unit: '°F', range: [0, 100, 1], bounds: [null, null],
+            source: 'weather', variables: ['feelsLike', 'temperature'], read: data => data.feelsLike
+        },
+        cloudLow: {
+            label: 'Low cloud', unit: '%', range: [0, 100, 5], bounds: [0, 100],
+            source: 'weather', variables: ['cloudLow'], read: data => data.lowCloud
+        },
+        cloudHigh: {
+            label: 'High/mid cloud', unit: '%', range: [0, 100, 5], bounds: [0, 100],
+            source: 'weather', variables: ['cloudHigh', 'cloudMid'], read: data => Math.max(data.highCloud, data.midCloud)
+        },
+        precipitation: {
+            // Morning total, spread over the window's hours
+            label: 'Morning rain', unit: 'in', range: [0, 1, 0.05], bounds: [0, null], perHour: true,
+            source: 'weather', variables: ['precipitation'], read: (data, day) => day.weatherCondition && day.weatherCondition.precipitation
+        },
+        waveHeight: {
+            label: 'Waves', unit: 'ft', range: [0, 12, 0.5], scale: true,
+            source: 'marine', variables: ['waveHeight', 'swellHeight'], read: data => data.waveHeight
+        },
+        waterTemp: {
+            label: 'Water', unit: '°F', range: [32, 85, 1],
+            source: 'waterTemp', read: data => data.waterTemp
+        }
+    };
+
+    const explainFactor = (label, score, weight) => ({ label, score, weight });
+
+    function explainSurf(surf) {
+        const w = scoring.surf.weights;
+        return {
+            inputs: [
+                ['Spot', surf.spot],
+                ['Waves', `${surf.waveHeight.toFixed(1)} ft${surf.exposure < 1 ? ` (${Math.round(surf.exposure * 100)}% exposed)` : ''}`],
+                ['Period', `${Math.round(surf.period)} s from ${degreesToCardinal(surf.direction)}`],
+                ['Wind', surf.windSpeed !== null ? `${Math.round(surf.windSpeed)} mph ${describeWindComponent(surf.windComponent)}` : null],
+                ['Tide', surf.tideLevel]
+            ],
+            factors: [
+                explainFactor('Wave height', surf.heightScore, w.height),
+                explainFactor('Period', surf.periodScore, w.period),
+                explainFactor('Wind', surf.windScore, w.wind),
+                explainFactor('Tide', surf.tideScore, surf.tideScore !== null ? w.tide : 0)
+            ]
+        };
+    }
+
+    function explainFish(fish) {
+        const w = scoring.fish.speciesWeights;
+        const factor = (label, key) => explainFactor(label, fish[`${key}Score`], fish[`${key}Score`] !== null ? w[key] : 0);
+        return {
+            inputs: [
+                ['Target', fish.topSpecies || 'Anything biting'],
+                ['Moon', fish.solunarPeriod ? `${fish.moonPhase}, ${fish.solunarPeriod} period` : fish.moonPhase],
+                ['Tide', fish.tideDetail],
+                ['Pressure', fish.pressureTrend],
+                ['Wind', `${fish.windSpeed} mph`],
+                ['Water', fish.waterTemp !== null ? `${fish.waterTemp}°F` : null],
+                ['Waves', fish.waveHeight !== null ? `${fish.waveHeight.toFixed(1)} ft` : null]
+            ],
+            factors: [
+                factor('Solunar', 'solunar'),
+                factor('Tide', 'tide'),
+                factor('Pressure', 'pressure'),
+                factor('Wind', 'wind'),
+                factor('Water temp', 'waterTemp'),
+                factor('Light', 'light'),
+                factor('Surf', 'surf')
+            ],
+            notes: [
+                !fish.topSpecies ? `Nothing in the catalog is around - capped at ${scoring.fish.slowSeasonMax}` : null,
+                fish.catchAndRelease ? `Every species around is closed, catch and release only - capped at ${scoring.fish.closedSeasonMax}` : null
+            ].filter(Boolean)
+        };
+    }
+
+    function explainPhoto(photo) {
+        const w = scoring.photo.weights;
+        return {
+            inputs: [
+                ['Clouds', `low ${photo.lowCloud}% · mid ${photo.midCloud}% · high ${photo.highCloud}%`],
+                ['Visibility', photo.visibility !== null ? `${photo.visibility} mi` : null],
+                ['Humidity', photo.humidity !== null ? `${photo.humidity}%` : null]
+            ],
+            factors: [
+                explainFactor('Cloud canvas', photo.canvasScore, null),
+                explainFactor('Clear horizon', photo.horizonScore, w.horizon),
+                explainFactor('Visibility', photo.visibilityScore, photo.visibilityScore !== null ? w.visibility : 0),
+                explainFactor('Humidity', photo.humidityScore, photo.humidityScore !== null ? w.humidity : 0)
+            ],
+            notes: photo.lowCloud >= scoring.photo.lowDeckCloud ? [`Low cloud at ${scoring.photo.lowDeckCloud}% or more - capped at 2`] : []
+        };
+    }
+
+    function explainCycle(cycle) {
+        const c = scoring.cycle;
+        const noGo = cycle.windSpeed > c.noGoWindMph || cycle.windGusts > c.noGoGustMph;
+        return {
+            inputs: [
+                ['Wind', `${cycle.windSpeed} mph ${cycle.windCardinal}${cycle.windGusts ? `, gusts ${cycle.windGusts}` : ''}`],
+                ['Feels like', `${cycle.feelsLike}°F`],
+                ['Cloud', `${cycle.cloudCover}%`]
+            ],
+            factors: [
+                explainFactor('Wind', cycle.windScore, c.weights.wind),
+                explainFactor('Sky', cycle.weatherScore, c.weights.weather),
+                explainFactor('Temperature', cycle.tempScore, c.weights.temp)
+            ],
+            notes: noGo ? [`Wind over ${c.noGoWindMph} mph or gusts over ${c.noGoGustMph} - wind scored 1`] : []
+        };
+    }
+
+    function explainPaddle(paddle) {
+        const c = scoring.paddle;
+        return {
+            inputs: [
+                ['Wind', `${paddle.windSpeed} mph ${paddle.windCardinal}${paddle.windGusts > paddle.windSpeed ? `, gusts ${paddle.windGusts}` : ''}`],
+                ['Current', paddle.tideRate !== null ? `${paddle.tideRate.toFixed(1)} ft/hr` : null],
+                ['Feels like', `${paddle.feelsLike}°F`]
+            ],
+            factors: [
+                explainFactor('Wind (flat water)', paddle.windScore, null),
+                explainFactor('Current', paddle.currentScore, paddle.currentScore !== null ? c.weights.current : 0),
+                explainFactor('Temperature', paddle.tempScore, c.weights.temp)
+            ],
+            notes: paddle.windGusts > c.maxGustMph ? [`Gusts over ${c.maxGustMph} mph - capped at 2`] : []
+        };
+    }
+
+    function explainKite(kite) {
+        const c = scoring.kite;
+        return {
+            inputs: [
+                ['Beach', kite.spot],
+                ['Wind', `${kite.windSpeed} mph ${kite.windCardinal}, ${describeWindComponent(kite.windComponent)}`],
+                ['Gusts', `${kite.windGusts} mph`]
+            ],
+            factors: [
+                explainFactor('Wind strength', kite.windScore, null),
+                explainFactor('Direction', kite.directionScore, c.weights.direction),
+                explainFactor('Gustiness', kite.gustScore, c.weights.gust)
+            ],
+            notes: kite.isOffshore ? ['Offshore wind - scored 1'] : []
+        };
+    }
+
+    function explainRun(run) {
+        const w = scoring.run.weights;
+        return {
+            inputs: [
+                ['Tide', run.tideLevel ? `${run.tideLevel}, ${run.tideRising ? 'rising' : 'falling'}` : null],
+                ['Feels like', `${run.feelsLike}°F`],
+                ['Wind', `${run.windSpeed} mph ${run.windCardinal}`]
+            ],
+            factors: [
+                explainFactor('Tide', run.tideScore, run.tideScore !== null ? w.tide : 0),
+                explainFactor('Temperature', run.tempScore, w.temp),
+                explainFactor('Wind', run.windScore, w.wind)
+            ]
+        };
+    }
+
+    function createExplainRow(label, value, className = '') {
+        const row = document.createElement('div');
+        row.className = `explain-row ${className}`.trim();
+        const name = document.createElement('span');
+        name.textContent = label;
+        const text = document.createElement('span');
+        text.className = 'explain-value';
+        text.textContent = value;
+        row.append(name, text);
+        return row;
+    }
+
+    function formatExplainScore(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    function renderExplanation(container, name, data, morning) {
+        // Inputs at the best hour, factor scores with their share of the
+        // weighting, then caps and the wet-morning penalty down to the final score
+        const { inputs, factors, notes = [] } = ACTIVITIES[name].explain(data);
+        container.innerHTML = '';
+
+        const heading = text => {
+            const el = document.createElement('div');
+            el.className = 'explain-heading';
+            el.textContent = text;
+            container.appendChild(el);
+        };
+
+        heading(`Inputs at ${data.bestTime || formatHour(data.bestHour)}`);
+        for (const [label, value] of inputs) {
+            if (value !== null && value !== undefined) container.appendChild(createExplainRow(label, value));
+        }
+
+        heading('Factors');
+        const weightSum = factors.reduce((sum, f) => sum + (f.weight || 0), 0);
+        for (const f of factors) {
+            if (f.weight === null) {
+                container.appendChild(createExplainRow(f.label, `${formatExplainScore(f.score)}/10 · sets the ceiling`));
+            } else if (f.weight > 0) {
+                const share = Math.round(f.weight / weightSum * 100);
+                container.appendChild(createExplainRow(f.label, `${formatExplainScore(f.score)}/10 · ${share}% of the weighting`));
+            } else {
+                container.appendChild(createExplainRow(f.label, 'not weighed', 'explain-muted'));
+            }
+        }
+        if (factors.some(f => f.weight === null)) {
+            container.appendChild(createExplainRow('Combined', 'ceiling × weighted average ÷ 10', 'explain-muted'));
+        }
+
+        container.appendChild(createExplainRow('Before rounding', formatExplainScore(data.rawScore), 'explain-total'));
+        for (const note of notes) container.appendChild(createExplainRow('Cap', note, 'explain-note'));
+        const penalty = morning.penalties[name];
+        if (penalty) {
+            container.appendChild(createExplainRow(`${morning.weatherCondition.condition} penalty`, `−${penalty}`, 'explain-note'));
+        }
+        container.appendChild(createExplainRow('Final', `${formatScore(morning.scores[name])}/10`, 'explain-total'));
+    }
+
+    function formatWhatIfValue(key, value) {
+        // To the slider's step: "14 mph", "2.5 ft", "0.15 in"
+        const { unit, range } = WHAT_IF_INPUTS[key];
+        if (key === 'windDirection') return `${degreesToCardinal(value)} (${Math.round(value)}°)`;
+        const decimals = range[2] >= 1 ? 0 : range[2] >= 0.1 ? 1 : 2;
+        return `${value.toFixed(decimals)}${unit === '°F' || unit === '%' ? '' : ' '}${unit}`;
+    }
+
+    function updateExplainer(name, day) {
+        // "Why this score?" for the selected day - hidden on incomplete cards
+        const explain = document.getElementById(`${name}-explain`);
+        const data = day.data[name];
+        const scored = hasScore(day, name);
+        explain.style.display = scored ? '' : 'none';
+        if (!scored) return;
+
+        renderExplanation(explain.querySelector('.explain-breakdown'), name, data, day);
+        explain.querySelector('.explain-result').textContent = '';
+
+        // One slider per what-if input, starting from this morning's value
+        const sliders = explain.querySelector('.explain-whatif');
+        sliders.innerHTML = '';
+        for (const key of ACTIVITIES[name].whatIf) {
+            const input = WHAT_IF_INPUTS[key];
+            const base = input.read(data, day);
+            if (base === null || base === undefined || (input.scale && base <= 0)) continue;
+            const [min, max, step] = input.range;
+
+            const label = document.createElement('label');
+            label.className = 'whatif-slider';
+            const text = document.createElement('span');
+            text.textContent = `${input.label}: ${formatWhatIfValue(key, base)}`;
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = Math.min(min, Math.floor(base));
+            slider.max = Math.max(max, Math.ceil(base));
+            slider.step = step;
+            slider.value = base;
+            slider.dataset.input = key;
+            slider.dataset.base = base;
+            slider.addEventListener('input', () => {
+                text.textContent = `${input.label}: ${formatWhatIfValue(key, parseFloat(slider.value))}`;
+                runWhatIf(name);
+            });
+            label.append(text, slider);
+            sliders.appendChild(label);
+        }
+        if (sliders.children.length === 0) return;
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'btn-link';
+        reset.textContent = 'Back to the forecast';
+        reset.addEventListener('click', () => updateExplainer(name, state.days[state.selectedDate]));
+        sliders.appendChild(reset);
+    }
+
+    function adjustHourly(hourly, date, input, base, value) {
+        // Copy of an hourly forecast with the input moved across the date
+        const adjusted = { ...hourly };
+        const windowHours = CONFIG.morningEndHour - CONFIG.morningStartHour + 1;
+        const delta = input.perHour ? (value - base) / windowHours : value - base;
+        const [low, high] = input.bounds || [null, null];
+        for (const variable of input.variables) {
+            if (!hourly[variable]) continue;
+            adjusted[variable] = hourly[variable].map((v, i) => {
+                if (v === null || v === undefined || !hourly.time[i].startsWith(date)) return v;
+                let next = input.scale ? v * value / base : v + delta;
+                if (input.wrap) next = ((next % input.wrap) + input.wrap) % input.wrap;
+                if (low !== null) next = Math.max(low, next);
+                if (high !== null) next = Math.min(high, next);
+                return next;
+            });
+        }
+        return adjusted;
+    }
+
+    function getWhatIfMorning(day, changes) {
+        // Rerun every scorer for the day on adjusted copies of the forecast -
+        // the cached forecast and saved predictions are left alone
+        let weather = state.weather;
+        let spotData = state.spotData;
+        let waterTemp = state.waterTemp;
+        for (const { key, base, value } of changes) {
+            const input = WHAT_IF_INPUTS[key];
+            const adjust = series => series && { ...series, hourly: adjustHourly(series.hourly, day.date, input, base, value) };
+            if (input.source === 'waterTemp') {
+                waterTemp = waterTemp && { ...waterTemp, temperature: waterTemp.temperature + value - base };
+            } else if (input.source === 'marine') {
+                spotData = spotData.map(s => ({ ...s, marineData: adjust(s.marineData) }));
+            } else {
+                weather = adjust(weather);
+                spotData = spotData.map(s => ({ ...s, weather: adjust(s.weather) }));
+            }
+        }
+        return scoreMorning(weather, spotData, day.date, day.missing, waterTemp);
+    }
+
+    function runWhatIf(name) {
+        const day = state.days[state.selectedDate];
+        const explain = document.getElementById(`${name}-explain`);
+        const changes = [...explain.querySelectorAll('.explain-whatif input')]
+            .map(slider => ({ key: slider.dataset.input, base: parseFloat(slider.dataset.base), value: parseFloat(slider.value) }))
+            .filter(change => change.value !== change.base);
+        const morning = getWhatIfMorning(day, changes);
+        const data = morning.data[name];
+        if (data && data.score !== null) {
+            renderExplanation(explain.querySelector('.explain-breakdown'), name, data, morning);
+        }
+
+        // Same ranking as the real recommendation, with the forecast's model confidence
+        const rec = getRecommendation(morning.scores, morning.data, morning.weatherCondition, day.confidence);
+        const result = explain.querySelector('.explain-result');
+        result.innerHTML = '';
+        const score = document.createElement('div');
+        score.textContent = `What if: ${formatScore(morning.scores[name])}/10 (forecast ${formatScore(day.scores[name])}/10)`;
+        const pick = document.createElement('div');
+        pick.innerHTML = `Pick: ${rec.icon} `;
+        pick.append(rec.activity);
+        result.append(score, pick);
+    }
+
+    // ============================================
+    // Settings Screen
+    // ============================================
+    const PLACE_FIELDS = [
+        { key: 'name', label: 'Name', type: 'text' },
+        { key: 'lat', label: 'Lat', type: 'number' },
+        { key: 'lng', label: 'Lng', type: 'number' }
+    ];
+
+    // Fields with an index edit one element of an array value
+    const SPOT_FIELDS = [
+        ...PLACE_FIELDS,
+        { key: 'facing', label: 'Faces (°)', type: 'number' },
+        { key: 'swellWindow', index: 0, label: 'Swell from (°)', type: 'number' },
+        { key: 'swellWindow', index: 1, label: 'Swell to (°)', type: 'number' },
+        { key: 'preferredTide', label: 'Best tide', type: 'select', options: ['any', 'low', 'mid', 'high'] }
+    ];
+
+    function showSettings() {
+        document.getElementById('loading').style.display = 'none';
+        document.getElementById('error').style.display = 'none';
+        document.getElementById('content').style.display = 'none';
+        document.getElementById('settings').style.display = 'block';
+    }
+
+    function hideSettings() {
+        document.getElementById('settings').style.display = 'none';
+    }
+
+    // Advanced editors (scoring, species, gear) - each a <name>-editor section
+    // with a <name>-error line, opened from settings and closed to the forecast
+    function openEditor(name) {
+        document.getElementById(`${name}-error`).textContent = '';
+        hideSettings();
+        document.getElementById(`${name}-editor`).style.display = 'block';
+    }
+
+    window.closeEditor = function(name) {
+        // Back to the forecast, rescored with whatever the editor saved
+        document.getElementById(`${name}-editor`).style.display = 'none';
+        if (state.days[state.selectedDate]) {
+            calculateAllScores();
+            updateUI();
+            showContent();
+        } else {
+            loadAllData();
+        }
+    };
+
+    function fillSettingsForm(values) {
+        const form = document.getElementById('settings-form');
+        form.elements.locationName.value = values.locationName;
+        form.elements.latitude.value = values.latitude;
+        form.elements.longitude.value = values.longitude;
+        form.elements.timezone.value = values.timezone;
+        form.elements.fishingSpot.value = values.fishingSpot;
+        form.elements.alertsEnabled.checked = values.alerts.enabled;
+        form.elements.alertHour.value = values.alerts.hour;
+        form.elements.alertGymFlip.checked = values.alerts.gymFlip;
+
+        const ruleRows = document.getElementById('settings-alert-rules');
+        ruleRows.innerHTML = '';
+        values.alerts.rules.forEach(rule => ruleRows.appendChild(createAlertRuleRow(rule)));
+
+        const spotRows = document.getElementById('settings-spots');
+        spotRows.innerHTML = '';
+        values.surfSpots.forEach(spot => spotRows.appendChild(createPlaceRow(spot, SPOT_FIELDS, true)));
+
+        const endpointRows = document.getElementById('settings-endpoints');
+        endpointRows.innerHTML = '';
+        values.cycleEndpoints.forEach(end => endpointRows.appendChild(createPlaceRow(end, PLACE_FIELDS, false)));
+
+        const routeRows = document.getElementById('settings-routes');
+        routeRows.innerHTML = '';
+        values.cycleRoutes.forEach(route => routeRows.appendChild(createRouteRow(route)));
+    }
+
+    function createRouteRow(route) {
+        // Imported GPX route - the name is editable, the track rides along in the row
+        const row = document.createElement('div');
+        row.className = 'settings-place';
+        row.dataset.points = JSON.stringify(route.points);
+
+        const label = document.createElement('label');
+        label.textContent = 'Route';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = 'routeName';
+        input.required = true;
+        input.value = route.name;
+        label.appendChild(input);
+        row.appendChild(label);
+
+        const summary = document.createElement('span');
+        summary.className = 'settings-hint';
+        summary.textContent = `${getRouteDistance(route.points).toFixed(1)} mi, ${route.points.length} points`;
+        row.appendChild(summary);
+
+        row.appendChild(createRemoveButton(row, 'Remove'));
+        return row;
+    }
+
+    function readCycleRoutes() {
+        return Array.from(document.getElementById('settings-routes').children).map(row => ({
+            name: row.querySelector('[name="routeName"]').value.trim(),
+            points: JSON.parse(row.dataset.points)
+        }));
+    }
+
+    function createPlaceRow(place, fields, removable) {
+        // One editable row of named coordinates (surf spot or cycling endpoint)
+        const row = document.createElement('div');
+        row.className = 'settings-place';
+        // Keep fields the form doesn't edit (e.g. Surfline ID) with the row
+        row.dataset.extra = JSON.stringify(place);
+        for (const field of fields) {
+            const label = document.createElement('label');
+            label.textContent = field.label;
+            const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+            if (field.type === 'select') {
+                for (const option of field.options) {
+                    input.add(new Option(option, option));
+                }
+            } else {
+                input.type = field.type;
+                input.required = true;
+            }
+            input.name = getFieldName(field);
+            if (field.type === 'number') input.step = 'any';
+            const value = field.index !== undefined ? (place[field.key] || [])[field.index] : place[field.key];
+            input.value = value !== undefined ? value : (field.options ? field.options[0] : '');
+            label.appendChild(input);
+            row.appendChild(label);
+        }
+        if (removable) row.appendChild(createRemoveButton(row, 'Remove'));
+        return row;
+    }
+
+    function createRemoveButton(target, title) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn-link';
+        remove.innerHTML = '&#10005;';
+        remove.title = title;
+        remove.addEventListener('click', () => target.remove());
+        return remove;
+    }
+
+    function createAlertRuleRow(rule) {
+        // "<activity> at or above <min>/10"
+        const row = document.createElement('div');
+        row.className = 'settings-place';
+
+        const activityLabel = document.createElement('label');
+        activityLabel.textContent = 'Activity';
+        const select = document.createElement('select');
+        select.name = 'ruleActivity';
+        for (const [value, name] of Object.entries({ any: 'Any activity', ...getActivityNames() })) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        select.value = rule.activity || 'any';
+        activityLabel.appendChild(select);
+        row.appendChild(activityLabel);
+
+        const minLabel = document.createElement('label');
+        minLabel.textContent = 'At least (/10)';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.name = 'ruleMin';
+        input.min = 1;
+        input.max = 10;
+        input.required = true;
+        input.value = rule.min !== undefined ? rule.min : 7;
+        minLabel.appendChild(input);
+        row.appendChild(minLabel);
+
+        row.appendChild(createRemoveButton(row, 'Remove'));
+        return row;
+    }
+
+    function readAlertRules() {
+        return Array.from(document.getElementById('settings-alert-rules').children).map(row => ({
+            activity: row.querySelector('[name="ruleActivity"]').value,
+            min: parseFloat(row.querySelector('[name="ruleMin"]').value)
+        }));
+    }
+
+    function getFieldName(field) {
+        return field.index !== undefined ? `${field.key}${field.index}` : field.key;
+    }
+
+    function readPlaceRows(containerId, fields) {
+        return Array.from(document.getElementById(containerId).children).map(row => {
+            const place = JSON.parse(row.dataset.extra || '{}');
+            for (const field of fields) {
+                const text = row.querySelector(`[name="${getFieldName(field)}"]`).value.trim();
+                const value = field.type === 'number' ? parseFloat(text) : text;
+                if (field.index !== undefined) {
+                    place[field.key] = place[field.key] ? [...place[field.key]] : [];
+                    place[field.key][field.index] = value;
+                } else {
+                    place[field.key] = value;
+                }
+            }
+            return place;
+        });
+    }
+
+    function isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function readSettingsForm() {
+        // Returns { settings } or { error }
+        const form = document.getElementById('settings-form');
+        const values = {
+            ...settings,
+            locationName: form.elements.locationName.value.trim(),
+            latitude: parseFloat(form.elements.latitude.value),
+            longitude: parseFloat(form.elements.longitude.value),
+            timezone: form.elements.timezone.value.trim(),
+            fishingSpot: form.elements.fishingSpot.value.trim(),
+            surfSpots: readPlaceRows('settings-spots', SPOT_FIELDS),
+            cycleEndpoints: readPlaceRows('settings-endpoints', PLACE_FIELDS),
+            cycleRoutes: readCycleRoutes(),
+            alerts: {
+                enabled: form.elements.alertsEnabled.checked,
+                hour: parseInt(form.elements.alertHour.value, 10),
+                rules: readAlertRules(),
+                gymFlip: form.elements.alertGymFlip.checked
+            }
+        };
+
+        const places = [{ lat: values.latitude, lng: values.longitude }, ...values.surfSpots, ...values.cycleEndpoints];
+        if (places.some(p => !(Math.abs(p.lat) <= 90) || !(Math.abs(p.lng) <= 180))) {
+            return { error: 'Latitudes must be -90 to 90 and longitudes -180 to 180' };
+        }
+        if (!isValidTimezone(values.timezone)) {
+            return { error: `Unknown timezone "${values.timezone}"` };
+        }
+        if (values.surfSpots.length === 0) {
+            return { error: 'Add at least one surf spot' };
+        }
+        const angles = values.surfSpots.flatMap(spot => [spot.facing, ...spot.swellWindow]);
+        if (angles.some(angle => !(angle >= 0 && angle <= 360))) {
+            return { error: 'Beach and swell directions must be 0-360°' };
+        }
+        if (!(values.alerts.hour >= 0 && values.alerts.hour <= 23)) {
+            return { error: 'Alert hour must be 0-23' };
+        }
+        if (values.alerts.rules.some(rule => !(rule.min >= 1 && rule.min <= 10))) {
+            return { error: 'Alert thresholds must be 1-10' };
+        }
+        return { settings: values };
+    }
+
+    window.openSettings = function() {
+        fillSettingsForm(settings);
+        document.getElementById('settings-error').textContent = '';
+        showSettings();
+    };
+
+    window.closeSettings = function() {
+        hideSettings();
+        if (state.days[state.selectedDate]) {
+            showContent();
+        } else {
+            loadAllData();
+        }
+    };
+
+    window.addSpotRow = function() {
+        document.getElementById('settings-spots').appendChild(createPlaceRow({}, SPOT_FIELDS, true));
+    };
+
+    window.useMyLocation = function() {
+        if (!('geolocation' in navigator)) return;
+        navigator.geolocation.getCurrentPosition((position) => {
+            const form = document.getElementById('settings-form');
+            form.elements.latitude.value = position.coords.latitude.toFixed(4);
+            form.elements.longitude.value = position.coords.longitude.toFixed(4);
+            form.elements.timezone.value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        }, (err) => console.log('Geolocation failed:', err));
+    };
+
+    window.importGpxRoute = async function(fileInput) {
+        // Each chosen GPX file becomes a route row; saved with the rest of the form
+        const error = document.getElementById('settings-error');
+        error.textContent = '';
+        for (const file of Array.from(fileInput.files)) {
+            try {
+                const route = parseGpx(await file.text(), file.name.replace(/\.gpx$/i, ''));
+                document.getElementById('settings-routes').appendChild(createRouteRow(route));
+            } catch (err) {
+                error.textContent = `${file.name}: ${err.message}`;
+            }
+        }
+        fileInput.value = '';
+    };
+
+    window.addAlertRuleRow = function() {
+        document.getElementById('settings-alert-rules').appendChild(createAlertRuleRow({ activity: 'any', min: 7 }));
+    };
+
+    window.toggleAlerts = async function(checkbox) {
+        // Ask for permission while we still have the click
+        if (!checkbox.checked) return;
+        if (typeof Notification === 'undefined') {
+            checkbox.checked = false;
+            document.getElementById('settings-error').textContent = 'Notifications are not supported in this browser';
+            return;
+        }
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            checkbox.checked = false;
+            document.getElementById('settings-error').textContent = 'Notifications are blocked for this site';
+        }
+    };
+
+    window.resetSettings = function() {
+        fillSettingsForm(JSON.parse(JSON.stringify(DEFAULT_SETTINGS)));
+    };
+
+    window.submitSettings = function(event) {
+        event.preventDefault();
+        const result = readSettingsForm();
+        if (result.error) {
+            document.getElementById('settings-error').textContent = result.error;
+            return;
+        }
+        saveSettings(result.settings);
+        registerAlertSync();
+        hideSettings();
+        // Coordinates may have moved - everything has to be refetched
+        loadAllData();
+    };
+
+    // ============================================
+    // Scoring Editor (advanced settings)
+    // ============================================
+    function formatCurve(curve) {
+        // [[1, 1], [2, 3], [null, 6]] -> "1:1, 2:3, *:6"
+        return curve.map(([limit, score]) => `${limit === null ? '*' : limit}:${score}`).join(', ');
+    }
+
+    function parseCurve(text) {
+        const curve = text.split(',').map(band => {
+            const [limit, score] = band.split(':').map(part => part.trim());
+            return [limit === '*' ? null : parseFloat(limit), parseFloat(score)];
+        });
+        const valid = curve.every(([limit, score], i) =>
+            !isNaN(score) && (limit === null ? i === curve.length - 1 : !isNaN(limit) && (i === 0 || limit > curve[i - 1][0]))
+        );
+        if (!valid || curve[curve.length - 1][0] !== null) return null;
+        return curve;
+    }
+
+    function isCurve(value) {
+        return Array.isArray(value) && Array.isArray(value[0]);
+    }
+
+    function humanizeKey(key) {
+        // "noGoGustMph" -> "no go gust mph"
+        return key.replace(/([A-Z])/g, ' $1').toLowerCase();
+    }
+
+    function createNumberInput(path, value) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.required = true;
+        input.dataset.path = path;
+        input.value = value;
+        return input;
+    }
+
+    function renderScoringForm(values) {
+        // Built from the defaults' shape: numbers, [min, max] pairs, weight maps and curves
+        const container = document.getElementById('scoring-fields');
+        container.innerHTML = '';
+        for (const [activity, params] of Object.entries(DEFAULT_SCORING)) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = ACTIVITIES[activity].name;
+            fieldset.appendChild(legend);
+
+            for (const key of Object.keys(params)) {
+                const value = values[activity][key];
+                const path = `${activity}.${key}`;
+                const label = document.createElement('label');
+                label.textContent = humanizeKey(key);
+
+                if (isCurve(value)) {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.dataset.path = path;
+                    input.dataset.kind = 'curve';
+                    input.value = formatCurve(value);
+                    label.appendChild(input);
+                } else if (Array.isArray(value) || typeof value === 'object') {
+                    const row = document.createElement('div');
+                    row.className = 'settings-row';
+                    for (const [part, partValue] of Object.entries(value)) {
+                        const partLabel = document.createElement('label');
+                        partLabel.textContent = Array.isArray(value) ? (part === '0' ? 'min' : 'max') : part;
+                        partLabel.appendChild(createNumberInput(`${path}.${part}`, partValue));
+                        row.appendChild(partLabel);
+                    }
+                    label.appendChild(row);
+                } else {
+                    label.appendChild(createNumberInput(path, value));
+                }
+                fieldset.appendChild(label);
+            }
+            container.appendChild(fieldset);
+        }
+    }
+
+    function readScoringForm() {
+        // Returns { scoring } or { error }
+        const values = JSON.parse(JSON.stringify(scoring));
+        for (const input of document.querySelectorAll('#scoring-fields [data-path]')) {
+            const keys = input.dataset.path.split('.');
+            let target = values;
+            for (const key of keys.slice(0, -1)) target = target[key];
+            const last = keys[keys.length - 1];
+
+            if (input.dataset.kind === 'curve') {
+                const curve = parseCurve(input.value);
+                if (!curve) {
+                    return { error: `${humanizeKey(keys[1])}: use increasing "limit:score" bands ending with "*:score"` };
+                }
+                target[last] = curve;
+            } else {
+                const number = parseFloat(input.value);
+                if (isNaN(number)) return { error: `${humanizeKey(keys[1])} must be a number` };
+                target[last] = number;
+            }
+        }
+        return { scoring: values };
+    }
+
+    function updateScoringPreview() {
+        // Recompute from cached data - no refetch
+        const preview = document.getElementById('scoring-preview');
+        if (!state.days[state.selectedDate]) {
+            preview.textContent = 'Load a forecast to preview changes';
+            return;
+        }
+        calculateAllScores();
+        const day = state.days[state.selectedDate];
+        const scores = Object.entries(day.scores)
+            .map(([activity, score]) => `${ACTIVITIES[activity].name} ${formatScore(score)}`)
+            .join(' · ');
+        preview.innerHTML = `${formatDayName(state.selectedDate)}: ${day.recommendation.icon} ${day.recommendation.activity}`;
+        const detail = document.createElement('div');
+        detail.className = 'scoring-preview-scores';
+        detail.textContent = scores;
+        preview.appendChild(detail);
+    }
+
+    window.openScoringEditor = function() {
+        renderScoringForm(scoring);
+        openEditor('scoring');
+        updateScoringPreview();
+    };
+
+    window.previewScoring = function() {
+        const result = readScoringForm();
+        document.getElementById('scoring-error').textContent = result.error || '';
+        if (result.error) return;
+        scoring = result.scoring;
+        updateScoringPreview();
+    };
+
+    window.resetScoring = function() {
+        renderScoringForm(DEFAULT_SCORING);
+        window.previewScoring();
+    };
+
+    window.cancelScoring = function() {
+        // Drop unsaved previews
+        scoring = loadScoring();
+        window.closeEditor('scoring');
+    };
+
+    window.submitScoring = function(event) {
+        event.preventDefault();
+        const result = readScoringForm();
+        if (result.error) {
+            document.getElementById('scoring-error').textContent = result.error;
+            return;
+        }
+        saveScoring(result.scoring);
+        window.closeEditor('scoring');
+    };
+
+    // ============================================
+    // Species Catalog Editor
+    // ============================================
+    // One fieldset per species, one row per open season
+    const SPECIES_TIDES = ['moving', 'incoming', 'outgoing', 'slack', 'high', 'low', 'any'];
+
+    const SEASON_FIELDS = [
+        { key: 'from', label: 'Opens (MM-DD)', type: 'text' },
+        { key: 'to', label: 'Closes (MM-DD)', type: 'text' },
+        { key: 'bag', label: 'Bag', type: 'number' },
+        { key: 'minSize', label: 'Min size (in)', type: 'number' },
+        { key: 'maxSize', label: 'Slot max (in)', type: 'number' }
+    ];
+
+    function createLabeledInput(labelText, name, type, value) {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = type;
+        input.name = name;
+        if (type === 'number') input.step = 'any';
+        input.value = value === null || value === undefined ? '' : value;
+        label.appendChild(input);
+        return label;
+    }
+
+    function createLabeledSelect(labelText, name, options, value) {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        const select = document.createElement('select');
+        select.name = name;
+        for (const option of options) select.add(new Option(option, option));
+        select.value = value;
+        label.appendChild(select);
+        return label;
+    }
+
+    function createSeasonRow(season) {
+        const row = document.createElement('div');
+        row.className = 'settings-place';
+        for (const field of SEASON_FIELDS) {
+            row.appendChild(createLabeledInput(field.label, field.key, field.type, season[field.key]));
+        }
+        row.appendChild(createRemoveButton(row, 'Remove season'));
+        return row;
+    }
+
+    function createSpeciesFieldset(species) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'species-entry';
+
+        const row = document.createElement('div');
+        row.className = 'settings-place';
+        row.appendChild(createLabeledInput('Name', 'name', 'text', species.name));
+        row.appendChild(createLabeledInput('Icon', 'emoji', 'text', species.emoji));
+        row.appendChild(createLabeledInput('Months (1-12)', 'months', 'text', (species.months || []).join(', ')));
+        row.appendChild(createLabeledInput('Water min (°F)', 'tempMin', 'number', (species.temp || [])[0]));
+        row.appendChild(createLabeledInput('Water max (°F)', 'tempMax', 'number', (species.temp || [])[1]));
+        row.appendChild(createRemoveButton(fieldset, 'Remove species'));
+        fieldset.appendChild(row);
+
+        const prefs = { ...SPECIES_PREFERENCE_DEFAULTS, ...species };
+        const preferences = document.createElement('div');
+        preferences.className = 'settings-place';
+        preferences.appendChild(createLabeledSelect('Tide', 'tide', SPECIES_TIDES, prefs.tide));
+        preferences.appendChild(createLabeledSelect('Light', 'light', ['any', 'low'], prefs.light));
+        preferences.appendChild(createLabeledInput('Max wind (mph)', 'maxWindMph', 'number', prefs.maxWindMph));
+        preferences.appendChild(createLabeledInput('Surf min (ft)', 'surfMin', 'number', prefs.surf[0]));
+        preferences.appendChild(createLabeledInput('Surf max (ft)', 'surfMax', 'number', prefs.surf[1]));
+        preferences.appendChild(createLabeledInput('Bait', 'bait', 'text', prefs.bait));
+        preferences.appendChild(createLabeledInput('Technique', 'technique', 'text', prefs.technique));
+        fieldset.appendChild(preferences);
+
+        const seasons = document.createElement('div');
+        seasons.className = 'settings-places species-seasons';
+        (species.seasons || []).forEach(season => seasons.appendChild(createSeasonRow(season)));
+        fieldset.appendChild(seasons);
+
+        const addSeason = document.createElement('button');
+        addSeason.type = 'button';
+        addSeason.className = 'btn-link';
+        addSeason.textContent = '+ Add season';
+        addSeason.addEventListener('click', () => seasons.appendChild(createSeasonRow({ bag: 1 })));
+        fieldset.appendChild(addSeason);
+        return fieldset;
+    }
+
+    function renderSpeciesForm(values) {
+        const container = document.getElementById('species-fields');
+        container.innerHTML = '';
+        values.forEach(species => container.appendChild(createSpeciesFieldset(species)));
+    }
+
+    function isMonthDay(text) {
+        // "MM-DD" for a real day of the year (Feb 29 allowed)
+        const match = /^(\d{2})-(\d{2})$/.exec(text);
+        if (!match) return false;
+        const [month, day] = [Number(match[1]), Number(match[2])];
+        return month >= 1 && month <= 12 && day >= 1 && day <= new Date(2000, month, 0).getDate();
+    }
+
+    function readSpeciesForm() {
+        // Returns { species } or { error }
+        const values = [];
+        for (const fieldset of document.querySelectorAll('#species-fields .species-entry')) {
+            const get = name => fieldset.querySelector(`:scope > .settings-place [name="${name}"]`).value.trim();
+            const name = get('name');
+            if (!name) return { error: 'Every species needs a name' };
+            const months = get('months').split(',').map(m => m.trim()).filter(Boolean).map(Number);
+            if (months.some(m => !Number.isInteger(m) || m < 1 || m > 12)) {
+                return { error: `${name}: months must be 1-12, separated by commas` };
+            }
+            const temp = [parseFloat(get('tempMin')), parseFloat(get('tempMax'))];
+            if (temp.some(isNaN) || temp[0] > temp[1]) {
+                return { error: `${name}: water temperature needs a min at or below the max` };
+            }
+
+            const maxWindMph = parseFloat(get('maxWindMph'));
+            const surf = [parseFloat(get('surfMin')), parseFloat(get('surfMax'))];
+            if (!(maxWindMph > 0)) return { error: `${name}: max wind must be above 0` };
+            if (surf.some(isNaN) || surf[0] > surf[1]) {
+                return { error: `${name}: surf needs a min at or below the max` };
+            }
+
+            const seasons = [];
+            for (const row of fieldset.querySelectorAll('.species-seasons > .settings-place')) {
+                const read = key => row.querySelector(`[name="${key}"]`).value.trim();
+                const number = key => (read(key) === '' ? null : parseFloat(read(key)));
+                const season = { from: read('from'), to: read('to'), bag: number('bag'), minSize: number('minSize'), maxSize: number('maxSize') };
+                if (!isMonthDay(season.from) || !isMonthDay(season.to)) {
+                    return { error: `${name}: season dates must be MM-DD, e.g. 05-04` };
+                }
+                if (!Number.isInteger(season.bag) || season.bag < 0) {
+                    return { error: `${name}: bag limit must be a whole number` };
+                }
+                if (season.maxSize !== null && season.maxSize <= (season.minSize || 0)) {
+                    return { error: `${name}: slot max must be above the minimum size` };
+                }
+                seasons.push(season);
+            }
+            values.push({
+                name, emoji: get('emoji') || '🐟', months, temp,
+                tide: get('tide'), light: get('light'), maxWindMph, surf,
+                bait: get('bait') || SPECIES_PREFERENCE_DEFAULTS.bait,
+                technique: get('technique') || SPECIES_PREFERENCE_DEFAULTS.technique,
+                seasons
+            });
+        }
+        return { species: values };
+    }
+
+    window.openSpeciesEditor = function() {
+        renderSpeciesForm(fishSpecies);
+        openEditor('species');
+    };
+
+    window.addSpeciesFieldset = function() {
+        document.getElementById('species-fields').appendChild(createSpeciesFieldset({ months: [], temp: [], surf: [0, 4], seasons: [] }));
+    };
+
+    window.resetSpecies = function() {
+        renderSpeciesForm(DEFAULT_SPECIES);
+    };
+
+    window.submitSpecies = function(event) {
+        event.preventDefault();
+        const result = readSpeciesForm();
+        if (result.error) {
+            document.getElementById('species-error').textContent = result.error;
+            return;
+        }
+        saveSpecies(result.species);
+        window.closeEditor('species');
+    };
+
+    // ============================================
+    // Gear Rules Editor
+    // ============================================
+    function createGearRuleRow(rule) {
+        // "<activity> <group>: <item> while <input> is in [from, below)"
+        const row = document.createElement('div');
+        row.className = 'settings-place';
+        row.appendChild(createLabeledSelect('Activity', 'activity', Object.keys(ACTIVITIES).filter(name => ACTIVITIES[name].gear), rule.activity || 'surf'));
+        row.appendChild(createLabeledInput('Group', 'group', 'text', rule.group));
+        row.appendChild(createLabeledInput('Gear', 'item', 'text', rule.item));
+
+        const inputLabel = document.createElement('label');
+        inputLabel.textContent = 'When';
+        const select = document.createElement('select');
+        select.name = 'input';
+        for (const [value, name] of Object.entries(GEAR_INPUTS)) select.add(new Option(name, value));
+        select.value = rule.input || 'waterTemp';
+        inputLabel.appendChild(select);
+        row.appendChild(inputLabel);
+
+        row.appendChild(createLabeledInput('From', 'min', 'number', rule.min));
+        row.appendChild(createLabeledInput('Below', 'max', 'number', rule.max));
+
+        const warning = document.createElement('label');
+        warning.className = 'settings-check';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'warning';
+        checkbox.checked = Boolean(rule.warning);
+        warning.append(checkbox, 'Warning');
+        row.appendChild(warning);
+
+        row.appendChild(createRemoveButton(row, 'Remove rule'));
+        return row;
+    }
+
+    function renderGearForm(rules) {
+        const container = document.getElementById('gear-rules');
+        container.innerHTML = '';
+        rules.forEach(rule => container.appendChild(createGearRuleRow(rule)));
+    }
+
+    function readGearForm() {
+        // Returns { rules } or { error }
+        const rules = [];
+        for (const row of document.getElementById('gear-rules').children) {
+            const read = name => row.querySelector(`[name="${name}"]`).value.trim();
+            const number = name => (read(name) === '' ? null : parseFloat(read(name)));
+            const rule = gearRule(read('activity'), read('group'), read('item'), read('input'), number('min'), number('max'),
+                row.querySelector('[name="warning"]').checked);
+            if (!rule.group || !rule.item) return { error: 'Every rule needs a group and a gear item' };
+            if ([rule.min, rule.max].some(value => value !== null && isNaN(value))) {
+                return { error: `${rule.item}: from and below must be numbers` };
+            }
+            if (rule.min !== null && rule.max !== null && rule.min >= rule.max) {
+                return { error: `${rule.item}: "from" must be below "below"` };
+            }
+            rules.push(rule);
+        }
+        return { rules };
+    }
+
+    window.openGearEditor = function() {
+        renderGearForm(gearRules);
+        openEditor('gear');
+    };
+
+    window.addGearRuleRow = function() {
+        document.getElementById('gear-rules').appendChild(createGearRuleRow({}));
+    };
+
+    window.resetGearRules = function() {
+        renderGearForm(DEFAULT_GEAR_RULES);
+    };
+
+    window.submitGearRules = function(event) {
+        event.preventDefault();
+        const result = readGearForm();
+        if (result.error) {
+            document.getElementById('gear-error').textContent = result.error;
+            return;
+        }
+        saveGearRules(result.rules);
+        window.closeEditor('gear');
+    };
+
+    // ============================================
+    // Session Journal & Calibration
+    // ============================================
+    function showJournal() {
+        document.getElementById('content').style.display = 'none';
+        document.getElementById('journal').style.display = 'block';
+    }
+
+    function correlation(xs, ys) {
+        // Pearson correlation; null when undefined (too few points or no spread)
+        const n = xs.length;
+        if (n < 3) return null;
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        let cov = 0;
+        let varX = 0;
+        let varY = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (xs[i] - meanX) * (ys[i] - meanY);
+            varX += (xs[i] - meanX) ** 2;
+            varY += (ys[i] - meanY) ** 2;
+        }
+        if (varX === 0 || varY === 0) return null;
+        return cov / Math.sqrt(varX * varY);
+    }
+
+    function getCalibration(entries, activity) {
+        // Predicted vs. actual for one activity, plus how well each factor tracks reality
+        const logged = entries.filter(e => e.activity === activity && e.prediction && e.prediction.scores[activity] !== null);
+        const points = logged.map(e => ({ predicted: e.prediction.scores[activity], actual: e.rating }));
+        const actuals = points.map(p => p.actual);
+        const meanError = points.length
+            ? points.reduce((sum, p) => sum + Math.abs(p.predicted - p.actual), 0) / points.length
+            : null;
+
+        const factors = ACTIVITIES[activity].factors.map(factor => {
+            const pairs = logged.filter(e => typeof e.prediction[activity]?.[factor] === 'number');
+            return {
+                factor,
+                r: correlation(pairs.map(e => e.prediction[activity][factor]), pairs.map(e => e.rating))
+            };
+        });
+        const scored = factors.filter(f => f.r !== null);
+        const worst = scored.length ? scored.reduce((a, b) => (b.r < a.r ? b : a)) : null;
+
+        return {
+            points,
+            meanError,
+            r: correlation(points.map(p => p.predicted), actuals),
+            factors,
+            worst: worst ? worst.factor : null
+        };
+    }
+
+    function renderCalibrationChart(points) {
+        // Scatter of predicted (x) vs. actual (y) on 1-10 axes, perfect calls on the diagonal
+        const size = 160;
+        const pad = 16;
+        const scale = v => pad + ((v - 1) / 9) * (size - 2 * pad);
+        const dots = points.map(p =>
+            `<circle cx="${scale(p.predicted)}" cy="${size - scale(p.actual)}" r="4" class="calibration-dot"/>`
+        ).join('');
+        return `<svg class="calibration-chart" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">
+            <rect x="${pad}" y="${pad}" width="${size - 2 * pad}" height="${size - 2 * pad}" class="calibration-frame"/>
+            <line x1="${scale(1)}" y1="${size - scale(1)}" x2="${scale(10)}" y2="${size - scale(10)}" class="calibration-diagonal"/>
+            <text x="${size / 2}" y="${size - 2}" class="calibration-axis">predicted</text>
+            <text x="4" y="${size / 2}" class="calibration-axis" transform="rotate(-90 4 ${size / 2})">actual</text>
+            ${dots}
+        </svg>`;
+    }
+
+    function renderCalibration(entries) {
+        const container = document.getElementById('journal-calibration');
+        container.innerHTML = '';
+        for (const activity of Object.keys(ACTIVITIES)) {
+            const calibration = getCalibration(entries, activity);
+            const block = document.createElement('div');
+            block.className = 'calibration-block';
+
+            const title = document.createElement('div');
+            title.className = 'calibration-title';
+            title.textContent = `${ACTIVITIES[activity].name} (${calibration.points.length} logged)`;
+            block.appendChild(title);
+
+            if (calibration.points.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'card-detail';
+                empty.textContent = 'No sessions logged yet';
+                block.appendChild(empty);
+                container.appendChild(block);
+                continue;
+            }
+
+            const chart = document.createElement('div');
+            chart.innerHTML = renderCalibrationChart(calibration.points);
+            block.appendChild(chart);
+
+            const stats = document.createElement('div');
+            stats.className = 'card-detail';
+            stats.textContent = `Avg miss: ${calibration.meanError.toFixed(1)} pts` +
+                (calibration.r !== null ? ` · Correlation: ${calibration.r.toFixed(2)}` : '');
+            block.appendChild(stats);
+
+            const factorList = document.createElement('div');
+            factorList.className = 'calibration-factors';
+            for (const { factor, r } of calibration.factors) {
+                const tag = document.createElement('span');
+                tag.className = 'fish-species-tag' + (factor === calibration.worst ? ' factor-worst' : '');
+                tag.textContent = `${factor}: ${r !== null ? r.toFixed(2) : 'n/a'}`;
+                tag.title = factor === calibration.worst ? 'Tracks the actual ratings worst' : '';
+                factorList.appendChild(tag);
+            }
+            block.appendChild(factorList);
+            container.appendChild(block);
+        }
+    }
+
+    function renderJournalEntries(entries) {
+        const list = document.getElementById('journal-entries');
+        list.innerHTML = '';
+        const recent = [...entries].sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id).slice(0, 20);
+        for (const entry of recent) {
+            const item = document.createElement('div');
+            item.className = 'journal-entry';
+
+            const head = document.createElement('div');
+            head.className = 'journal-entry-head';
+            const predicted = entry.prediction ? formatScore(entry.prediction.scores[entry.activity]) : '--';
+            head.textContent = `${entry.date} · ${ACTIVITIES[entry.activity].name} · actual ${entry.rating}/10 vs predicted ${predicted}/10`;
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-link';
+            remove.innerHTML = '&#10005;';
+            remove.title = 'Delete entry';
+            remove.addEventListener('click', async () => {
+                await dbDelete('journal', entry.id);
+                refreshJournal();
+            });
+            head.appendChild(remove);
+            item.appendChild(head);
+
+            const text = [entry.catch ? `Catch: ${entry.catch}` : '', entry.notes].filter(Boolean).join(' - ');
+            if (text) {
+                const notes = document.createElement('div');
+                notes.className = 'journal-entry-notes';
+                notes.textContent = text;
+                item.appendChild(notes);
+            }
+            list.appendChild(item);
+        }
+        if (recent.length === 0) list.textContent = 'No sessions logged yet';
+    }
+
+    async function refreshJournal() {
+        try {
+            const entries = await dbGetAll('journal');
+            renderJournalEntries(entries);
+            renderCalibration(entries);
+        } catch (error) {
+            console.error('Journal load error:', error);
+            document.getElementById('journal-entries').textContent = 'Journal unavailable in this browser';
+        }
+    }
+
+    window.openJournal = function() {
+        const form = document.getElementById('journal-form');
+        if (form.elements.activity.options.length === 0) {
+            for (const [value, name] of Object.entries(getActivityNames())) form.elements.activity.add(new Option(name, value));
+        }
+        form.reset();
+        form.elements.date.value = getHomeDate(now());
+        window.updateJournalForm();
+        document.getElementById('journal-error').textContent = '';
+        showJournal();
+        refreshJournal();
+    };
+
+    window.closeJournal = function() {
+        document.getElementById('journal').style.display = 'none';
+        showContent();
+    };
+
+    window.updateJournalForm = function() {
+        // Catch field only applies to fishing
+        const form = document.getElementById('journal-form');
+        document.getElementById('journal-catch').style.display = form.elements.activity.value === 'fish' ? '' : 'none';
+        document.getElementById('journal-rating-value').textContent = form.elements.rating.value;
+    };
+
+    window.submitJournal = async function(event) {
+        event.preventDefault();
+        const form = document.getElementById('journal-form');
+        const date = form.elements.date.value;
+        const activity = form.elements.activity.value;
+        try {
+            // Prediction made for that morning - stored by the last run before it,
+            // or still in the current outlook
+            const prediction = await dbGet('predictions', date) ||
+                (state.days[date] ? getPredictionSnapshot(state.days[date]) : null);
+            await dbPut('journal', {
+                date,
+                activity,
+                rating: parseInt(form.elements.rating.value, 10),
+                notes: form.elements.notes.value.trim(),
+                catch: activity === 'fish' ? form.elements.catch.value.trim() : '',
+                loggedAt: new Date(now()).toISOString(),
+                prediction
+            });
+            form.elements.notes.value = '';
+            form.elements.catch.value = '';
+            document.getElementById('journal-error').textContent = prediction ? '' : 'Saved - no forecast on record for that date, so it is left out of calibration';
+            refreshJournal();
+        } catch (error) {
+            console.error('Journal save error:', error);
+            document.getElementById('journal-error').textContent = 'Could not save entry';
+        }
+    };
+
+    // ============================================
+    // Evening Alerts
+    // ============================================
+    // Runs after every fetch - in the page, or in the service worker on a
+    // periodic background sync - and notifies at most once per morning
+    const GYM_FLIP_REASON = 'No longer a gym day';
+
+    function isAlertTime() {
+        return getLocalHours(now()) >= settings.alerts.hour;
+    }
+
+    function canNotify() {
+        return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    }
+
+    function getAlertReasons(day, alerts, previousRecommendation) {
+        // Every rule tomorrow's scores meet, plus a flip away from the gym
+        const reasons = [];
+        for (const rule of alerts.rules) {
+            const candidates = (rule.activity === 'any' ? Object.keys(day.scores) : [rule.activity])
+                .filter(activity => day.scores[activity] !== null);
+            if (candidates.length === 0) continue;
+            const best = candidates.sort((a, b) => day.scores[b] - day.scores[a])[0];
+            const reason = `${ACTIVITIES[best].name} ${day.scores[best]}/10`;
+            if (day.scores[best] >= rule.min && !reasons.includes(reason)) reasons.push(reason);
+        }
+        if (alerts.gymFlip && previousRecommendation === 'HIT THE GYM' &&
+            day.recommendation.activity !== 'HIT THE GYM') {
+            reasons.push(GYM_FLIP_REASON);
+        }
+        return reasons;
+    }
+
+    async function showAlertNotification(day, reasons) {
+        const registration = typeof document === 'undefined'
+            ? self.registration
+            : await navigator.serviceWorker.ready;
+        const { recommendation } = day;
+        await registration.showNotification(`Tomorrow: ${recommendation.activity}`, {
+            body: `${reasons.join(' · ')}\n${recommendation.detail}`,
+            icon: 'icons/icon.svg',
+            tag: `dawn-patrol-${day.date}`
+        });
+    }
+
+    async function checkAlerts() {
+        const date = getTomorrowDate();
+        const day = state.days[date];
+        if (!settings.alerts.enabled || !day || !canNotify()) return;
+
+        try {
+            const saved = await dbGet('config', 'alertState');
+            const last = saved && saved.date === date ? saved : {};
+            const reasons = getAlertReasons(day, settings.alerts, last.recommendation);
+            const notify = reasons.length > 0 && !last.notified && isAlertTime();
+
+            // Hold on to a gym baseline until the flip has actually been announced
+            const recommendation = reasons.includes(GYM_FLIP_REASON) && !notify
+                ? last.recommendation
+                : day.recommendation.activity;
+            await dbPut('config', { key: 'alertState', date, recommendation, notified: Boolean(last.notified || notify) });
+
+            if (notify) await showAlertNotification(day, reasons);
+        } catch (error) {
+            console.error('Alert check error:', error);
+        }
+    }
+
+    async function registerAlertSync() {
+        // Periodic background sync where supported (installed Chromium PWAs);
+        // elsewhere the timed re-check below only runs while the page is open
+        if (!('serviceWorker' in navigator)) return;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return;
+            if (settings.alerts.enabled) {
+                await registration.periodicSync.register(CONFIG.alertSyncTag, { minInterval: 60 * 60 * 1000 });
+            } else {
+                await registration.periodicSync.unregister(CONFIG.alertSyncTag);
+            }
+        } catch (error) {
+            console.log('Periodic sync unavailable:', error);
+        }
+    }
+
+    async function recheckAlerts() {
+        // Rerun the scoring quietly, without the loading screen
+        if (!settings.alerts.enabled || !isAlertTime()) return;
+        try {
+            // Tonight's alert is out - nothing left to check until tomorrow evening
+            const saved = await dbGet('config', 'alertState');
+            if (saved && saved.date === getTomorrowDate() && saved.notified) return;
+
+            await fetchAllData();
+            savePredictions();
+            if (document.getElementById('content').style.display !== 'none') updateUI();
+            await checkAlerts();
+        } catch (error) {
+            console.error('Alert re-check error:', error);
+        }
+    }
+
+    async function runBackgroundAlertCheck() {
+        // Service worker entry point - settings come from the IndexedDB mirror
+        const [savedSettings, savedScoring, savedSpecies, savedGearRules] = await Promise.all([
+            dbGet('config', 'settings'),
+            dbGet('config', 'scoring'),
+            dbGet('config', 'species'),
+            dbGet('config', 'gearRules')
+        ]);
+        // Merged over the defaults like loadSettings / loadScoring, so a mirror
+        // written by an older page still gets newer keys
+        if (savedSettings) settings = { ...settings, ...savedSettings.value };
+        if (savedScoring) {
+            for (const activity of Object.keys(scoring)) {
+                scoring[activity] = { ...scoring[activity], ...savedScoring.value[activity] };
+            }
+        }
+        if (savedSpecies) fishSpecies = withPreferenceDefaults(savedSpecies.value);
+        if (savedGearRules) gearRules = savedGearRules.value;
+        await fetchAllData();
+        await saveForecastRuns();
+        await checkAlerts();
+    }
+
+    // ============================================
     // Event Handlers
     // ============================================
     window.refreshData = function() {
         loadAllData();
     };
 
+    // Loaded by the service worker (importScripts) - expose the background
+    // check, plus what the tests in tests/ check, and skip the page-only
+    // setup below
+    if (typeof document === 'undefined') {
+        self.DawnPatrol = { alertSyncTag: CONFIG.alertSyncTag, runBackgroundAlertCheck, parseNdbcRealtime, getSessionStart };
+        return;
+    }
+
     // ============================================
     // Service Worker Registration
     // ============================================
@@ -1086,6 +5566,17 @@
     // Initialize
     // ============================================
     document.addEventListener('DOMContentLoaded', () => {
+        storeWorkerConfig();
+        loadAllData();
+        registerAlertSync();
+        setInterval(recheckAlerts, CONFIG.alertRecheckMinutes * 60 * 1000);
+    });
+
+    // Offline is a normal state - flag it now, refetch as soon as we're back
+    window.addEventListener('offline', () => {
+        if (state.weather) updateFreshness();
+    });
+    window.addEventListener('online', () => {
         loadAllData();
     });
 
@@ -1,13 +1,22 @@
 // Dawn Patrol Service Worker
-const CACHE_NAME = 'dawn-patrol-v6';
+const CACHE_NAME = 'dawn-patrol-v7';
+// API responses outlive app updates so offline mode keeps its last forecast
+const API_CACHE_NAME = 'dawn-patrol-api';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/app.js',
     '/style.css',
-    '/manifest.json'
+    '/manifest.json',
+    '/data/noaa-stations.json',
+    '/data/ndbc-buoys.json'
 ];
 
+// Scoring code for background alert checks. app.js hangs its UI handlers
+// on window, which is just the worker's global here.
+self.window = self;
+importScripts('app.js');
+
 // Install - cache static assets
 self.addEventListener('install', (event) => {
     event.waitUntil(
@@ -23,13 +32,26 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames
-                    .filter((name) => name !== CACHE_NAME)
+                    .filter((name) => name !== CACHE_NAME && name !== API_CACHE_NAME)
                     .map((name) => caches.delete(name))
             );
         }).then(() => self.clients.claim())
     );
 });
 
+// Copy of an API response stamped with when it came off the network, so the
+// page can tell how old a cached fallback really is (app.js enforces max ages)
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Fetched-At', new Date().toISOString());
+    const body = await response.blob();
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
 // Fetch - network first for API calls, cache first for static assets
 self.addEventListener('fetch', (event) => {
     const url = new URL(event.request.url);
@@ -40,15 +62,16 @@ self.addEventListener('fetch', (event) => {
         url.hostname.includes('open-meteo.com') ||
         url.hostname.includes('marine-api.open-meteo.com') ||
         url.hostname.includes('tidesandcurrents.noaa.gov') ||
+        url.hostname.includes('ndbc.noaa.gov') ||
         url.hostname.includes('sunrise-sunset.org')) {
         event.respondWith(
             fetch(event.request)
                 .then((response) => {
-                    // Cache successful API responses for 30 minutes
+                    // Keep the latest successful response as the offline fallback
                     if (response.ok) {
-                        const responseClone = response.clone();
-                        caches.open(CACHE_NAME + '-api').then((cache) => {
-                            cache.put(event.request, responseClone);
+                        const stamped = stampResponse(response.clone());
+                        caches.open(API_CACHE_NAME).then((cache) => {
+                            stamped.then((copy) => cache.put(event.request, copy));
                         });
                     }
                     return response;
@@ -81,3 +104,23 @@ self.addEventListener('fetch', (event) => {
             })
     );
 });
+
+// Periodic background sync - rerun tomorrow's scoring for evening alerts
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === self.DawnPatrol.alertSyncTag) {
+        event.waitUntil(self.DawnPatrol.runBackgroundAlertCheck());
+    }
+});
+
+// Alert tapped - focus the open app or launch it
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then((clients) => {
+            if (clients.length > 0) {
+                return clients[0].focus();
+            }
+            return self.clients.openWindow('/');
+        })
+    );
+});
@@ -0,0 +1,28 @@
+// Calendar export start times with the device in a different timezone from home.
+// Run with: node --test tests/
+process.env.TZ = 'Asia/Tokyo';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const at = iso => new Date(iso).getTime();
+
+test('best hour is a home hour, not a device hour', () => {
+    // Default home is Ventnor, NJ - 7 AM EDT
+    const { getSessionStart } = loadApp();
+    assert.equal(getSessionStart('surf', { bestHour: 7 }, '2026-10-20').getTime(), at('2026-10-20T11:00:00Z'));
+});
+
+test('follows the home timezone from settings', () => {
+    const { getSessionStart } = loadApp({ settings: { timezone: 'America/Los_Angeles' } });
+    assert.equal(getSessionStart('cycle', { bestHour: 7 }, '2026-10-20').getTime(), at('2026-10-20T14:00:00Z'));
+});
+
+test('lands on the wall-clock hour on daylight-saving days', () => {
+    const { getSessionStart } = loadApp();
+    // Clocks fall back at 2 AM - 7 AM EST
+    assert.equal(getSessionStart('fish', { bestHour: 7 }, '2026-11-01').getTime(), at('2026-11-01T12:00:00Z'));
+    // Clocks spring forward at 2 AM - 6 AM EDT
+    assert.equal(getSessionStart('run', { bestHour: 6 }, '2026-03-08').getTime(), at('2026-03-08T10:00:00Z'));
+});
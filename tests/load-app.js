@@ -0,0 +1,23 @@
+// Loads app.js the way the service worker does - no document, window is the
+// global - which leaves DawnPatrol on the global with the functions the tests
+// check. `settings` stands in for what the settings screen saved.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadApp({ settings } = {}) {
+    const context = { console: { log() {}, error() {}, warn() {} } };
+    context.self = context;
+    context.window = context;
+    if (settings) {
+        context.localStorage = {
+            getItem: key => (key === 'dawnPatrol.settings' ? JSON.stringify(settings) : null),
+            setItem() {}
+        };
+    }
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'), context, { filename: 'app.js' });
+    return context.DawnPatrol;
+}
+
+module.exports = { loadApp };
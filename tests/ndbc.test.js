@@ -0,0 +1,66 @@
+// NDBC realtime parser against the saved buoy files in fixtures/ndbc.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp } = require('./load-app');
+
+const root = path.join(__dirname, '..');
+
+const { parseNdbcRealtime } = loadApp();
+
+function parseFixture(buoyId) {
+    const text = fs.readFileSync(path.join(root, 'fixtures', 'ndbc', `${buoyId}.txt`), 'utf8');
+    return parseNdbcRealtime({ text, fetchedAt: 0 });
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} != ${expected}`);
+
+test('44009: one observation per row, header and units lines skipped', () => {
+    const { fetchedAt, observations } = parseFixture('44009');
+    assert.equal(fetchedAt, 0);
+    assert.equal(observations.length, 144);
+    // "#YY MM DD hh mm" columns, read as UTC
+    assert.equal(observations[0].time, Date.UTC(2026, 9, 19, 15, 50));
+    assert.equal(observations[1].time, Date.UTC(2026, 9, 19, 15, 40));
+});
+
+test('44009: converts metres to feet, m/s to mph and °C to °F', () => {
+    const [, report] = parseFixture('44009').observations;
+    // 2026 10 19 15 40  203  4.4  6.4  0.67  9  5.76 151 ... WTMP 17.9
+    close(report.waveHeight, 0.67 * 3.28084);
+    assert.equal(report.period, 9);
+    assert.equal(report.direction, 151);
+    close(report.windSpeed, 4.4 * 2.23694);
+    assert.equal(report.windDirection, 203);
+    close(report.waterTemp, 17.9 * 1.8 + 32);
+});
+
+test('44009: MM reads as null', () => {
+    const [report] = parseFixture('44009').observations;
+    // 2026 10 19 15 50  199  3.9  6.3  MM  MM  MM  MM ...
+    assert.equal(report.waveHeight, null);
+    assert.equal(report.period, null);
+    assert.equal(report.direction, null);
+    close(report.windSpeed, 3.9 * 2.23694);
+});
+
+test('44091: wave-only buoy has null wind', () => {
+    const { observations } = parseFixture('44091');
+    assert.equal(observations.length, 48);
+    const [report] = observations;
+    // 2026 10 19 15 56  MM  MM  MM  0.71  8  4.99 154 ... WTMP 17.4
+    assert.equal(report.time, Date.UTC(2026, 9, 19, 15, 56));
+    assert.equal(report.windSpeed, null);
+    assert.equal(report.windDirection, null);
+    close(report.waveHeight, 0.71 * 3.28084);
+    assert.equal(report.period, 8);
+    assert.equal(report.direction, 154);
+    close(report.waterTemp, 17.4 * 1.8 + 32);
+});
+
+test('a file with no reports is an error', () => {
+    const header = '#YY  MM DD hh mm WDIR WSPD\n#yr  mo dy hr mn degT m/s\n';
+    assert.throws(() => parseNdbcRealtime({ text: header, fetchedAt: 0 }), /No buoy observations/);
+});